@@ -3,37 +3,88 @@
 // ========================================
 
 const MAX_DATA_POINTS = 100;
-const CALIBRATION_TARGET_REPS = 5;
+const DEFAULT_WEBSOCKET_URL = 'ws://localhost:8765';
+// Perfiles de ejercicio incluidos. Los umbrales de dominadas son los valores por defecto
+// históricos de RepDetector; los demás están ajustados a la duración y el recorrido típicos.
+const BUILTIN_EXERCISE_PROFILES = [
+    {
+        id: 'pullup',
+        name: 'Dominadas',
+        builtin: true,
+        thresholds: { upwardAcceleration: 0.7, downwardAcceleration: -0.5, minRepDuration: 700, maxRepDuration: 5000, stableThreshold: 0.25, minAmplitude: 0.9 },
+        quality: { idealDuration: 2000 }
+    },
+    {
+        id: 'squat',
+        name: 'Sentadillas',
+        builtin: true,
+        thresholds: { upwardAcceleration: 0.6, downwardAcceleration: -0.5, minRepDuration: 900, maxRepDuration: 6000, stableThreshold: 0.25, minAmplitude: 0.8 },
+        quality: { idealDuration: 2600, durationTolerance: 600, durationLimit: 1200 }
+    },
+    {
+        id: 'pushup',
+        name: 'Flexiones',
+        builtin: true,
+        thresholds: { upwardAcceleration: 0.6, downwardAcceleration: -0.4, minRepDuration: 600, maxRepDuration: 4000, stableThreshold: 0.2, minAmplitude: 0.7 },
+        quality: { idealDuration: 1600, durationTolerance: 400, durationLimit: 800, goodRange: 1.2, minRange: 0.8 }
+    },
+    {
+        id: 'curl',
+        name: 'Curl de bíceps',
+        builtin: true,
+        thresholds: { upwardAcceleration: 0.5, downwardAcceleration: -0.4, minRepDuration: 800, maxRepDuration: 5000, stableThreshold: 0.2, minAmplitude: 0.6 },
+        quality: { idealDuration: 2500, durationTolerance: 600, durationLimit: 1200, goodRange: 1.2, minRange: 0.7, goodVariance: 0.6, maxVariance: 1.2 }
+    }
+];
+
+const DEFAULT_SYNTHETIC_OPTIONS = {
+    reps: 8,          // repeticiones a generar
+    tempo: 3,         // segundos por repetición
+    amplitude: 2,     // pico de aceleración concéntrica (m/s²)
+    noise: 0.05,      // desviación estándar del ruido (m/s²)
+    drift: 0,         // deriva del sesgo (m/s² por minuto)
+    dropouts: 0,      // probabilidad de perder muestras (0-1)
+    axis: 'y',        // eje del dispositivo que recibe la señal
+    rate: 60,         // frecuencia de emisión (Hz)
+    leadIn: 2,        // segundos en reposo antes y después de la serie
+    seed: null        // semilla para reproducir la misma señal
+};
 
-// ========================================
-// CLASES AUXILIARES
-// ========================================
+const DEFAULT_SET_SETTINGS = {
+    targetReps: null,     // reps objetivo por serie
+    stillnessSec: 8,      // quietud que cierra la serie
+    restTargetSec: null,  // descanso objetivo entre series
+    fatigueCutoffPct: 20  // pérdida (%) que dispara el aviso de fatiga
+};
 
-// Filtro de promedio móvil para suavizar datos del acelerómetro
-class MovingAverageFilter {
-    constructor(windowSize = 5) {
-        this.windowSize = windowSize;
-        this.window = [];
-    }
+// Coaching por audio; cada perfil de ejercicio puede sobrescribirlo en `audio`
+const DEFAULT_AUDIO_SETTINGS = {
+    voice: true,              // decir el número de rep (SpeechSynthesis)
+    phaseCues: false,         // tono corto en cada cambio de fase
+    calibrationCues: true,    // tono por rep de calibración y al terminar
+    metronomeRpm: null,       // metrónomo a esta cadencia (reps/min); null = apagado
+    cadenceTolerancePct: 15   // desviación de cadencia que dispara el aviso
+};
 
-    addValue(value) {
-        this.window.push(value);
-        if (this.window.length > this.windowSize) {
-            this.window.shift();
-        }
-        return this.getAverage();
-    }
+// Categoría FIT (exercise_category) de los perfiles incluidos; los personalizados van como `unknown`
+const FIT_EXERCISE_CATEGORIES = { pullup: 'pull_up', squat: 'squat', pushup: 'push_up', curl: 'curl' };
 
-    getAverage() {
-        if (this.window.length === 0) return 0;
-        const sum = this.window.reduce((a, b) => a + b, 0);
-        return sum / this.window.length;
-    }
+// ========================================
+// CLASES AUXILIARES
+// ========================================
 
-    reset() {
-        this.window = [];
-    }
-}
+// Clases de procesamiento de señal (core.js, sin dependencias del DOM)
+const {
+    DEFAULT_QUALITY_MODEL,
+    parseTempo,
+    EventEmitter,
+    MovingAverageFilter,
+    GravityEstimator,
+    FFTCadenceEstimator,
+    AutoCalibrator,
+    RepDetector,
+    WorkoutSession
+} = TrainingCore;
 
 // Sistema de debug para capturar logs en móvil
 class DebugLogger {
@@ -116,586 +167,1827 @@ class DebugLogger {
     }
 }
 
-// Registro ligero de datos de sesión
-class DataLogger {
-    constructor(maxSessions = 10) {
-        this.isLogging = false;
-        this.current = [];
-        this.sessionsKey = 'tt_sessions';
-        this.maxSessions = maxSessions;
+// Helpers para envolver peticiones/transacciones de IndexedDB en promesas
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function idbTransactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+// Almacén de sesiones en IndexedDB: metadatos en `sessions`, muestras procesadas en bloques en
+// `chunks` y la captura cruda del sensor (todos los eventos, sin diezmar) en `rawChunks`.
+// Los bloques se guardan en el formato binario de recording.js (`data`); los de versiones
+// anteriores, como array de objetos (`samples`), se siguen leyendo igual.
+class SessionStore {
+    constructor(dbName = 'training-tracker') {
+        this.dbName = dbName;
+        this.version = 2;
+        this.chunkSize = 256;
+        this._dbPromise = null;
     }
 
-    start() {
-        this.isLogging = true;
-        this.current = [];
+    open() {
+        if (this._dbPromise) return this._dbPromise;
+        this._dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB no está disponible'));
+                return;
+            }
+            const request = indexedDB.open(this.dbName, this.version);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('sessions')) {
+                    const sessions = db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+                    sessions.createIndex('startedAt', 'startedAt');
+                }
+                for (const name of ['chunks', 'rawChunks']) {
+                    if (db.objectStoreNames.contains(name)) continue;
+                    const chunks = db.createObjectStore(name, { keyPath: ['sessionId', 'index'] });
+                    chunks.createIndex('sessionId', 'sessionId');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Permitir reintentar si la apertura falla
+        this._dbPromise.catch(() => { this._dbPromise = null; });
+        return this._dbPromise;
     }
 
-    stop() {
-        this.isLogging = false;
-        const session = {
-            startedAt: new Date().toISOString(),
-            length: this.current.length,
-            detectedAxis: detectedAxis,
-            calibration: calibratedThresholds ? {
-                thresholds: calibratedThresholds,
-                date: localStorage.getItem('calibrationDate')
-            } : null,
-            data: this.current
-        };
-        try {
-            const prev = JSON.parse(localStorage.getItem(this.sessionsKey) || '[]');
-            prev.unshift(session);
-            if (prev.length > this.maxSessions) prev.length = this.maxSessions;
-            localStorage.setItem(this.sessionsKey, JSON.stringify(prev));
-            return session;
-        } catch (e) {
-            console.error('Logger persist error', e);
-            return null;
-        }
+    _chunkRange(sessionId) {
+        return IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
     }
 
-    append(entry) {
-        if (!this.isLogging) return;
-        this.current.push(entry);
+    async createSession(meta) {
+        const db = await this.open();
+        const tx = db.transaction('sessions', 'readwrite');
+        const id = await idbRequest(tx.objectStore('sessions').add(meta));
+        await idbTransactionDone(tx);
+        return id;
     }
 
-    getSessions() {
-        try { return JSON.parse(localStorage.getItem(this.sessionsKey) || '[]'); }
-        catch { return []; }
+    async putSession(session) {
+        const db = await this.open();
+        const tx = db.transaction('sessions', 'readwrite');
+        tx.objectStore('sessions').put(session);
+        await idbTransactionDone(tx);
     }
 
-    exportJSON() {
-        const blob = new Blob([JSON.stringify(this.getSessions(), null, 2)], { type: 'application/json' });
-        this._downloadBlob(blob, `sessions-${Date.now()}.json`);
+    async appendChunk(sessionId, index, samples, storeName = 'chunks') {
+        // Se codifica antes de abrir la transacción: IndexedDB la cierra si se espera dentro
+        const data = await TrainingRecording.pack(samples);
+        const db = await this.open();
+        const tx = db.transaction(storeName, 'readwrite');
+        tx.objectStore(storeName).put({ sessionId, index, format: TrainingRecording.FORMAT_VERSION, data });
+        await idbTransactionDone(tx);
     }
 
-    exportCSV() {
-        const sessions = this.getSessions();
-        const headers = ['timestamp','x','y','z','axis','smoothed','cadenceHz','repCount','phase','quality'];
-        let lines = [headers.join(',')];
-        for (const s of sessions) {
-            for (const r of s.data) {
-                const row = [r.timestamp,r.x,r.y,r.z,r.axis,r.smoothed,(r.cadenceHz ?? ''),r.repCount,r.phase,(r.quality ?? '')];
-                lines.push(row.join(','));
-            }
+    async _packChunks(list) {
+        const packed = [];
+        for (let i = 0; i < list.length; i += this.chunkSize) {
+            packed.push(await TrainingRecording.pack(list.slice(i, i + this.chunkSize)));
         }
-        const blob = new Blob([lines.join('\n')], { type: 'text/csv' });
-        this._downloadBlob(blob, `sessions-${Date.now()}.csv`);
+        return packed;
     }
 
-    _downloadBlob(blob, filename) {
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url; a.download = filename; a.click();
-        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    // Añade una sesión con sus bloques ya codificados a una transacción abierta sobre
+    // `sessions`, `chunks` y `rawChunks`; el id queda en `result` de la petición devuelta
+    _addPackedSession(tx, meta, length, packed, packedRaw = []) {
+        const addRequest = tx.objectStore('sessions').add({
+            ...meta,
+            length,
+            chunkCount: packed.length
+        });
+        addRequest.onsuccess = () => {
+            const sessionId = addRequest.result;
+            const chunks = tx.objectStore('chunks');
+            packed.forEach((data, index) => {
+                chunks.put({ sessionId, index, format: TrainingRecording.FORMAT_VERSION, data });
+            });
+            const rawChunks = tx.objectStore('rawChunks');
+            packedRaw.forEach((data, index) => {
+                rawChunks.put({ sessionId, index, format: TrainingRecording.FORMAT_VERSION, data });
+            });
+        };
+        return addRequest;
     }
-}
 
-// Estimador de frecuencia dominante (cadencia) usando fft.js
-// Requiere que exista el global `FFT` (cargado por CDN en index.html)
-class FFTCadenceEstimator {
-    constructor({ fftSize = 256, sampleRateHz = 30, fMinHz = 0.2, fMaxHz = 5.0, updateEvery = 6, smoothingAlpha = 0.35 } = {}) {
-        this.fftSize = fftSize;
-        this.sampleRateHz = sampleRateHz;
-        this.fMinHz = fMinHz;
-        this.fMaxHz = fMaxHz;
-        this.updateEvery = Math.max(1, updateEvery);
-        this.smoothingAlpha = Math.min(1, Math.max(0, smoothingAlpha));
+    // Guarda una sesión completa (metadatos + muestras + captura cruda) en una única transacción
+    async addSessionWithSamples(meta, samples, rawSamples = []) {
+        const packed = await this._packChunks(samples);
+        const packedRaw = await this._packChunks(rawSamples);
 
-        this._index = 0;
-        this._filled = false;
-        this._samplesSeen = 0;
-        this._ring = new Float32Array(this.fftSize);
-        this._timeDomain = new Float32Array(this.fftSize);
-        this._window = this._createHannWindow(this.fftSize);
+        const db = await this.open();
+        const tx = db.transaction(['sessions', 'chunks', 'rawChunks'], 'readwrite');
+        const addRequest = this._addPackedSession(tx, meta, samples.length, packed, packedRaw);
+        await idbTransactionDone(tx);
+        return addRequest.result;
+    }
 
-        this.lastFrequencyHz = 0;
-        this.lastPower = 0;
+    // Metadatos de todas las sesiones, de la más reciente a la más antigua
+    async listSessions() {
+        const db = await this.open();
+        const tx = db.transaction('sessions', 'readonly');
+        const sessions = await idbRequest(tx.objectStore('sessions').getAll());
+        return sessions.sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+    }
 
-        this._fft = null;
-        this._out = null;
-        this._fftAvailable = false;
-        this._ensureFft();
+    async getSession(id) {
+        const db = await this.open();
+        const tx = db.transaction('sessions', 'readonly');
+        return idbRequest(tx.objectStore('sessions').get(id));
     }
 
-    _ensureFft() {
-        if (this._fft) return;
-        try {
-            if (typeof FFT === 'undefined') {
-                console.warn('FFTCadenceEstimator: FFT (fft.js) no está cargado.');
-                this._fftAvailable = false;
-                return;
-            }
-            this._fft = new FFT(this.fftSize);
-            this._out = this._fft.createComplexArray();
-            this._fftAvailable = true;
-        } catch (error) {
-            console.error('Error inicializando FFT:', error);
-            this._fftAvailable = false;
+    async getSamples(sessionId, storeName = 'chunks') {
+        const db = await this.open();
+        const tx = db.transaction(storeName, 'readonly');
+        const chunks = await idbRequest(tx.objectStore(storeName).getAll(this._chunkRange(sessionId)));
+        const samples = [];
+        for (const chunk of chunks) {
+            const decoded = chunk.data ? await TrainingRecording.unpack(chunk.data) : chunk.samples;
+            for (const sample of decoded) samples.push(sample);
         }
+        return samples;
+    }
+
+    async deleteSession(id) {
+        const db = await this.open();
+        const tx = db.transaction(['sessions', 'chunks', 'rawChunks'], 'readwrite');
+        tx.objectStore('sessions').delete(id);
+        tx.objectStore('chunks').delete(this._chunkRange(id));
+        tx.objectStore('rawChunks').delete(this._chunkRange(id));
+        await idbTransactionDone(tx);
     }
 
-    _createHannWindow(n) {
-        const w = new Float32Array(n);
-        if (n <= 1) return w;
-        for (let i = 0; i < n; i++) {
-            w[i] = 0.5 * (1 - Math.cos((2 * Math.PI * i) / (n - 1)));
+    // Borra las sesiones que excedan la política de retención (null = sin límite)
+    async applyRetention({ maxSessions = null, maxAgeDays = null } = {}) {
+        if (!maxSessions && !maxAgeDays) return 0;
+        const sessions = (await this.listSessions()).filter(s => s.endedAt);
+        const now = Date.now();
+        const expired = sessions.filter((s, i) =>
+            (maxSessions && i >= maxSessions) ||
+            (maxAgeDays && now - Date.parse(s.startedAt) > maxAgeDays * 86400000)
+        );
+        for (const s of expired) {
+            await this.deleteSession(s.id);
         }
-        return w;
+        if (expired.length) console.log(`Retention policy removed ${expired.length} sessions`);
+        return expired.length;
     }
 
-    setSampleRate(sampleRateHz) {
-        this.sampleRateHz = Math.max(1, sampleRateHz);
+    // Cierra sesiones que quedaron abiertas (p. ej. la app se cerró mientras registraba)
+    async recoverInterrupted() {
+        const open = (await this.listSessions()).filter(s => !s.endedAt);
+        for (const session of open) {
+            const samples = await this.getSamples(session.id);
+            const last = samples[samples.length - 1];
+            session.length = samples.length;
+            session.endedAt = last ? new Date(last.timestamp).toISOString() : session.startedAt;
+            session.recovered = true;
+            await this.putSession(session);
+            console.warn(`Recovered interrupted session ${session.id} (${samples.length} samples)`);
+        }
+        return open.length;
     }
 
-    reset() {
-        this._index = 0;
-        this._filled = false;
-        this._samplesSeen = 0;
-        this._ring.fill(0);
-        this.lastFrequencyHz = 0;
-        this.lastPower = 0;
-    }
-
-    addSample(value) {
-        // Si FFT no está disponible, retornar null silenciosamente
-        if (!this._fftAvailable) {
-            this._ensureFft(); // Reintentar una vez
-            if (!this._fftAvailable) return null;
-        }
-
-        this._ring[this._index] = value;
-        this._index = (this._index + 1) % this.fftSize;
-        if (this._index === 0) this._filled = true;
-
-        this._samplesSeen++;
-        if (!this._filled) return null;
-        if (!this._fft) return null;
-        if (this._samplesSeen % this.updateEvery !== 0) return null;
-
-        // Copiar ring buffer en orden temporal
-        for (let i = 0; i < this.fftSize; i++) {
-            this._timeDomain[i] = this._ring[(this._index + i) % this.fftSize];
-        }
-
-        // Quitar DC y aplicar ventana Hann
-        let mean = 0;
-        for (let i = 0; i < this.fftSize; i++) mean += this._timeDomain[i];
-        mean /= this.fftSize;
-        for (let i = 0; i < this.fftSize; i++) {
-            this._timeDomain[i] = (this._timeDomain[i] - mean) * this._window[i];
-        }
-
-        this._fft.realTransform(this._out, this._timeDomain);
-
-        const binHz = this.sampleRateHz / this.fftSize;
-        const kMin = Math.max(1, Math.ceil(this.fMinHz / binHz));
-        const kMax = Math.min(Math.floor(this.fftSize / 2), Math.floor(this.fMaxHz / binHz));
-        if (kMax <= kMin) return null;
-
-        let bestK = kMin;
-        let bestMag2 = -Infinity;
-        for (let k = kMin; k <= kMax; k++) {
-            const re = this._out[2 * k];
-            const im = this._out[2 * k + 1];
-            const mag2 = re * re + im * im;
-            if (mag2 > bestMag2) {
-                bestMag2 = mag2;
-                bestK = k;
+    // Migración única de las sesiones guardadas en localStorage por versiones anteriores. Todas
+    // se escriben en una sola transacción, así que una interrupción no deja la mitad migrada;
+    // si se corta entre la transacción y el borrado de la clave, las ya migradas (misma fecha
+    // de inicio) se saltan en el siguiente arranque en lugar de duplicarse.
+    async migrateFromLocalStorage(key) {
+        const raw = localStorage.getItem(key);
+        if (!raw) return 0;
+
+        let legacy;
+        try {
+            legacy = JSON.parse(raw);
+        } catch (e) {
+            console.error('Legacy sessions unreadable, skipping migration', e);
+            return 0;
+        }
+        if (!Array.isArray(legacy)) legacy = [];
+
+        const migrated = new Set((await this.listSessions()).filter(s => s.migrated).map(s => s.startedAt));
+        const pending = [];
+        // Se guardaban de la más reciente a la más antigua
+        for (const s of legacy.slice().reverse()) {
+            const { data = [], ...meta } = s;
+            if (migrated.has(meta.startedAt)) continue;
+            pending.push({ meta, length: data.length, packed: await this._packChunks(data) });
+        }
+
+        if (pending.length) {
+            const db = await this.open();
+            const tx = db.transaction(['sessions', 'chunks', 'rawChunks'], 'readwrite');
+            for (const { meta, length, packed } of pending) {
+                this._addPackedSession(tx, { ...meta, endedAt: meta.startedAt, migrated: true }, length, packed);
             }
+            await idbTransactionDone(tx);
         }
+        localStorage.removeItem(key);
+        console.log(`Migrated ${pending.length} sessions from localStorage` +
+            (pending.length < legacy.length ? ` (${legacy.length - pending.length} already migrated)` : ''));
+        return pending.length;
+    }
+}
 
-        const freqHz = bestK * binHz;
-        const smoothedHz = this.lastFrequencyHz
-            ? (this.smoothingAlpha * freqHz + (1 - this.smoothingAlpha) * this.lastFrequencyHz)
-            : freqHz;
+// ========================================
+// IMPORTACIÓN DE SESIONES
+// ========================================
 
-        this.lastFrequencyHz = smoothedHz;
-        this.lastPower = bestMag2;
-        return { frequencyHz: smoothedHz, power: bestMag2 };
+// Campos mínimos de una muestra importada; el resto (smoothed, phase, quality...) es opcional
+const IMPORT_REQUIRED_FIELDS = ['timestamp', 'x', 'y', 'z'];
+const IMPORT_TEXT_FIELDS = ['axis', 'phase'];
+// Columnas de sesión y de tiempo derivadas que añade exportCSV; no forman parte de la muestra
+const CSV_SESSION_COLUMNS = ['sessionId', 'sessionStartedAt', 'time', 'elapsedSec'];
+// Los CSV concatenan las sesiones: un salto atrás en el tiempo o una pausa larga abre otra
+const CSV_SESSION_GAP_MS = 5 * 60 * 1000;
+
+function validateImportedSample(sample) {
+    if (!sample || typeof sample !== 'object') return 'la muestra no es un objeto';
+    for (const field of IMPORT_REQUIRED_FIELDS) {
+        if (typeof sample[field] !== 'number' || !Number.isFinite(sample[field])) {
+            return `el campo "${field}" falta o no es numérico`;
+        }
     }
+    return null;
 }
 
-// Calibrador automático de umbrales
-class AutoCalibrator {
-    constructor() {
-        this.repsData = [];
-        this.isCalibrating = false;
-        this.repCount = 0;
-        this.targetReps = CALIBRATION_TARGET_REPS;
-        this.currentRepData = {
-            maxZ: -Infinity,
-            minZ: Infinity,
-            zValues: [],
-            startTime: null
-        };
-        this.state = 'IDLE'; // IDLE, MOVING, COOLDOWN
-        this.lastTransitionTime = 0;
-    }
-
-    startCalibration() {
-        this.isCalibrating = true;
-        this.repsData = [];
-        this.repCount = 0;
-        this.currentRepData = {
-            maxZ: -Infinity,
-            minZ: Infinity,
-            zValues: [],
-            startTime: null
-        };
-        this.state = 'IDLE';
-        this.lastTransitionTime = Date.now();
+function toIsoDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Valida una sesión exportada (versión actual o anteriores) y separa metadatos y muestras.
+// `id`, `length` y `chunkCount` se descartan: los asigna el almacén al guardar.
+function normalizeImportedSession(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: 'no es un objeto de sesión' };
+    if (!Array.isArray(raw.data) || raw.data.length === 0) return { error: 'no contiene muestras ("data")' };
+    for (let i = 0; i < raw.data.length; i++) {
+        const error = validateImportedSample(raw.data[i]);
+        if (error) return { error: `muestra ${i + 1}: ${error}` };
     }
 
-    processValue(z, timestamp) {
-        if (!this.isCalibrating) return null;
+    if (raw.raw !== undefined && (!Array.isArray(raw.raw) || raw.raw.some(s => !s || !Number.isFinite(s.timestamp)))) {
+        return { error: 'la captura cruda ("raw") no es válida' };
+    }
 
-        const absZ = Math.abs(z);
-        
-        switch (this.state) {
-            case 'IDLE':
-                // Detectar inicio de movimiento significativo
-                if (absZ > 0.6) {
-                    this.state = 'MOVING';
-                    this.currentRepData = {
-                        maxZ: z,
-                        minZ: z,
-                        zValues: [z],
-                        startTime: timestamp
-                    };
-                }
-                break;
-
-            case 'MOVING':
-                // Acumular datos del movimiento
-                this.currentRepData.zValues.push(z);
-                this.currentRepData.maxZ = Math.max(this.currentRepData.maxZ, z);
-                this.currentRepData.minZ = Math.min(this.currentRepData.minZ, z);
-
-                // Detectar fin de movimiento (vuelta a estable)
-                if (absZ < 0.3 && this.currentRepData.zValues.length > 15) {
-                    const duration = timestamp - this.currentRepData.startTime;
-                    const amplitude = this.currentRepData.maxZ - this.currentRepData.minZ;
-
-                    // Validar que sea una repetición válida
-                    if (duration >= 500 && duration <= 5000 && amplitude >= 0.8) {
-                        this.repsData.push({
-                            maxZ: this.currentRepData.maxZ,
-                            minZ: this.currentRepData.minZ,
-                            amplitude: amplitude,
-                            duration: duration,
-                            variance: this.calculateVariance(this.currentRepData.zValues)
-                        });
-
-                        this.repCount++;
-                        console.log(`Calibration rep ${this.repCount}/${this.targetReps} detected - Amplitude: ${amplitude.toFixed(2)}`);
-
-                        if (this.repCount >= this.targetReps) {
-                            return this.calculateThresholds();
-                        }
-                    }
+    const { id, data, length, chunkCount, raw: rawData = [], ...meta } = raw;
+    // Las versiones con localStorage no guardaban `endedAt`; la primera muestra sirve de respaldo
+    const startedAt = raw.startedAt !== undefined ? toIsoDate(raw.startedAt) : toIsoDate(data[0].timestamp);
+    if (!startedAt) return { error: `fecha de inicio no válida (${raw.startedAt})` };
+    return {
+        session: {
+            ...meta,
+            startedAt,
+            endedAt: toIsoDate(raw.endedAt) || toIsoDate(data[data.length - 1].timestamp) || startedAt,
+            imported: true
+        },
+        data,
+        rawData
+    };
+}
 
-                    this.state = 'COOLDOWN';
-                    this.lastTransitionTime = timestamp;
-                }
-                break;
+function parseSessionsJSON(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (e) {
+        return { sessions: [], errors: [{ source: 'archivo', message: 'JSON no válido: ' + e.message }] };
+    }
+    const list = Array.isArray(parsed) ? parsed
+        : (parsed && Array.isArray(parsed.sessions)) ? parsed.sessions
+        : [parsed];
+
+    const sessions = [];
+    const errors = [];
+    list.forEach((raw, i) => {
+        const result = normalizeImportedSession(raw);
+        if (result.error) errors.push({ source: `sesión ${i + 1}`, message: result.error });
+        else sessions.push(result);
+    });
+    return { sessions, errors };
+}
 
-            case 'COOLDOWN':
-                // Esperar 500ms antes de detectar otra rep
-                if (timestamp - this.lastTransitionTime > 500) {
-                    this.state = 'IDLE';
-                }
-                break;
+// Separa una línea CSV respetando campos entre comillas ("" escapa una comilla)
+function parseCSVLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else cell += char;
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else {
+            cell += char;
         }
-
-        return { repCount: this.repCount, targetReps: this.targetReps };
     }
+    cells.push(cell);
+    return cells;
+}
 
-    calculateVariance(values) {
-        if (values.length === 0) return 0;
-        const mean = values.reduce((a, b) => a + b, 0) / values.length;
-        const squaredDiffs = values.map(v => Math.pow(v - mean, 2));
-        return squaredDiffs.reduce((a, b) => a + b, 0) / values.length;
+// Lee un CSV de exportCSV, actual o de versiones anteriores (sin columnas de sesión ni velocity).
+// Las líneas de cabecera con '#' se ignoran. Las filas con errores se omiten y se informan con
+// su número de línea.
+function parseSessionsCSV(text) {
+    const lines = text.split(/\r?\n/);
+    const isContent = line => line.trim() !== '' && !line.trimStart().startsWith('#');
+    const headerIndex = lines.findIndex(isContent);
+    if (headerIndex === -1) return { sessions: [], errors: [{ source: 'archivo', message: 'el CSV está vacío' }] };
+
+    const columns = parseCSVLine(lines[headerIndex]).map(c => c.trim());
+    const missing = IMPORT_REQUIRED_FIELDS.filter(field => !columns.includes(field));
+    if (missing.length) {
+        return { sessions: [], errors: [{ source: `línea ${headerIndex + 1}`, message: `faltan columnas: ${missing.join(', ')}` }] };
     }
 
-    calculateThresholds() {
-        if (this.repsData.length === 0) return null;
+    const groups = [];
+    const errors = [];
+    let current = null;
+    for (let i = headerIndex + 1; i < lines.length; i++) {
+        if (!isContent(lines[i])) continue;
+        const source = `línea ${i + 1}`;
+        const cells = parseCSVLine(lines[i]);
+        if (cells.length !== columns.length) {
+            errors.push({ source, message: `${cells.length} columnas, se esperaban ${columns.length}` });
+            continue;
+        }
 
-        // Calcular estadísticas
-        const maxZValues = this.repsData.map(r => r.maxZ);
-        const minZValues = this.repsData.map(r => r.minZ);
-        const amplitudes = this.repsData.map(r => r.amplitude);
+        const sample = {};
+        let error = null;
+        columns.forEach((column, j) => {
+            const value = cells[j].trim();
+            if (value === '') sample[column] = null;
+            else if (IMPORT_TEXT_FIELDS.includes(column)) sample[column] = value;
+            else if (!isNaN(Number(value))) sample[column] = Number(value);
+            else if (IMPORT_REQUIRED_FIELDS.includes(column)) error = error || `"${column}" no es numérico ("${value}")`;
+            else sample[column] = value;
+        });
+        error = error || validateImportedSample(sample);
+        if (error) {
+            errors.push({ source, message: error });
+            continue;
+        }
 
-        const avgMaxZ = maxZValues.reduce((a, b) => a + b, 0) / maxZValues.length;
-        const avgMinZ = minZValues.reduce((a, b) => a + b, 0) / minZValues.length;
-        const avgAmplitude = amplitudes.reduce((a, b) => a + b, 0) / amplitudes.length;
+        // Con columna sessionId se agrupa por sesión; sin ella (versiones anteriores), por el tiempo
+        const key = sample.sessionId ?? null;
+        const startedAt = sample.sessionStartedAt ?? undefined;
+        for (const column of CSV_SESSION_COLUMNS) delete sample[column];
+
+        const last = current && current.data[current.data.length - 1];
+        const newSession = key !== null
+            ? !current || current.key !== key
+            : !last || sample.timestamp < last.timestamp || sample.timestamp - last.timestamp > CSV_SESSION_GAP_MS;
+        if (newSession) {
+            current = { key, startedAt, data: [] };
+            groups.push(current);
+        }
+        current.data.push(sample);
+    }
 
-        // Calcular desviación estándar
-        const stdMaxZ = Math.sqrt(
-            maxZValues.reduce((sum, val) => sum + Math.pow(val - avgMaxZ, 2), 0) / maxZValues.length
-        );
-        const stdMinZ = Math.sqrt(
-            minZValues.reduce((sum, val) => sum + Math.pow(val - avgMinZ, 2), 0) / minZValues.length
-        );
+    const sessions = [];
+    groups.forEach(({ startedAt, data }, i) => {
+        const result = normalizeImportedSession({ startedAt, data });
+        if (result.error) errors.push({ source: `sesión ${i + 1}`, message: result.error });
+        else sessions.push(result);
+    });
+    return { sessions, errors };
+}
 
-        // Crear nuevos umbrales basados en estadísticas (más conservadores)
-        const thresholds = {
-            upwardAcceleration: Math.max(0.4, avgMaxZ - stdMaxZ * 0.8),
-            downwardAcceleration: Math.min(-0.3, avgMinZ + stdMinZ * 0.8),
-            minAmplitude: avgAmplitude * 0.6,
-            minRepDuration: 700,
-            maxRepDuration: 5000,
-            stableThreshold: 0.25
-        };
+// ========================================
+// EXPORTACIÓN CSV
+// ========================================
 
-        this.isCalibrating = false;
+const CSV_SAMPLE_COLUMNS = [
+    'sessionId', 'sessionStartedAt', 'timestamp', 'time', 'elapsedSec',
+    'x', 'y', 'z', 'axis', 'smoothed', 'cadenceHz', 'repCount', 'phase', 'quality', 'velocity'
+];
+const CSV_REP_COLUMNS = [
+    'sessionId', 'sessionStartedAt', 'exercise', 'set', 'rep', 'time', 'elapsedSec',
+    'durationMs', 'pullingUpMs', 'atTopMs', 'loweringMs', 'peakUp', 'peakDown', 'amplitude',
+    'romCm', 'partial', 'meanVelocity', 'peakVelocity', 'quality', 'fatigueLoss', 'tempoAdherence'
+];
+
+// Celda CSV: entre comillas si contiene separadores, comillas, saltos de línea o espacios en los extremos
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-        console.log('Calibration completed:', thresholds);
+function toCSVRow(values) {
+    return values.map(csvCell).join(',');
+}
 
-        return {
-            success: true,
-            thresholds: thresholds,
-            stats: {
-                repsDetected: this.repsData.length,
-                avgMaxZ,
-                avgMinZ,
-                avgAmplitude
-            }
-        };
-    }
+function toIsoTime(timestamp) {
+    return Number.isFinite(timestamp) ? new Date(timestamp).toISOString() : '';
+}
 
-    stopCalibration() {
-        this.isCalibrating = false;
+// Bloque de cabecera ('#') con los umbrales de calibración de cada sesión exportada
+function csvCalibrationHeader(sessions) {
+    const keys = Object.keys(BUILTIN_EXERCISE_PROFILES[0].thresholds);
+    const lines = [
+        `# Training Tracker · exportado ${new Date().toISOString()}`,
+        '# ' + toCSVRow(['sessionId', 'exercise', 'calibratedAt', ...keys])
+    ];
+    for (const s of sessions) {
+        const calibration = s.calibration || null;
+        const thresholds = calibration && calibration.thresholds ? calibration.thresholds : {};
+        lines.push('# ' + toCSVRow([
+            s.id,
+            s.exercise ? s.exercise.name : null,
+            calibration ? calibration.date : null,
+            ...keys.map(key => thresholds[key])
+        ]));
     }
+    return lines;
+}
 
-    getProgress() {
-        return this.targetReps > 0 ? (this.repCount / this.targetReps) * 100 : 0;
+function samplesToCSV(sessions) {
+    const lines = [...csvCalibrationHeader(sessions), CSV_SAMPLE_COLUMNS.join(',')];
+    for (const s of sessions) {
+        const origin = s.data.length ? s.data[0].timestamp : 0;
+        for (const r of s.data) {
+            lines.push(toCSVRow([
+                s.id, s.startedAt, r.timestamp, toIsoTime(r.timestamp), ((r.timestamp - origin) / 1000).toFixed(3),
+                r.x, r.y, r.z, r.axis, r.smoothed, r.cadenceHz, r.repCount, r.phase, r.quality, r.velocity
+            ]));
+        }
     }
+    return lines.join('\n');
 }
 
-// Detector de repeticiones con máquina de estados
-class RepDetector {
-    constructor(customThresholds = null) {
-        this.state = 'IDLE';
-        this.repCount = 0;
-        this.currentRepStartTime = null;
-        this.currentRepData = {
-            maxZ: -Infinity,
-            minZ: Infinity,
-            zValues: [],
-            duration: 0
-        };
+// Una fila por rep con fases, recorrido, velocidad, fatiga y tempo. El tiempo relativo se mide
+// desde el inicio de la sesión.
+function repsToCSV(sessions) {
+    const lines = [...csvCalibrationHeader(sessions), CSV_REP_COLUMNS.join(',')];
+    for (const s of sessions) {
+        const origin = Date.parse(s.startedAt);
+        for (const rep of Array.isArray(s.reps) ? s.reps : []) {
+            const phases = rep.phaseDurations || {};
+            lines.push(toCSVRow([
+                s.id, s.startedAt, s.exercise ? s.exercise.name : null, rep.set, rep.index,
+                toIsoTime(rep.startTime), Number.isFinite(origin) ? ((rep.startTime - origin) / 1000).toFixed(3) : null,
+                rep.duration, phases.PULLING_UP, phases.AT_TOP, phases.LOWERING,
+                rep.peakUp, rep.peakDown, rep.amplitude, rep.romCm, rep.partial,
+                rep.meanConcentricVelocity, rep.peakConcentricVelocity, rep.quality,
+                rep.fatigue ? rep.fatigue.loss : null, rep.tempo ? rep.tempo.adherence : null
+            ]));
+        }
+    }
+    return lines.join('\n');
+}
 
-        const defaultThresholds = {
-            upwardAcceleration: 0.7,
-            downwardAcceleration: -0.5,
-            minRepDuration: 700,
-            maxRepDuration: 5000,
-            stableThreshold: 0.25,
-            minAmplitude: 0.9
-        };
+// Huella del contenido para reconocer la misma sesión aunque cambie su fecha de inicio
+// (los CSV no la incluyen y se toma la de la primera muestra)
+function sessionFingerprint(samples) {
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const sumZ = samples.reduce((sum, s) => sum + s.z, 0);
+    return `${samples.length}:${first.timestamp}:${last.timestamp}:${sumZ.toFixed(6)}`;
+}
 
-        this.thresholds = customThresholds ? { ...defaultThresholds, ...customThresholds } : defaultThresholds;
-        this.lastQuality = 0;
-        this.lastRepTime = 0;
-        this.cooldownPeriod = 400;
+// Registro de datos de sesión: las muestras se escriben en bloques a IndexedDB mientras se registra
+class DataLogger {
+    constructor(store, { chunkSize = 256 } = {}) {
+        this.store = store;
+        this.isLogging = false;
+        this.chunkSize = chunkSize;
+        this.legacySessionsKey = 'tt_sessions';
+        this.retentionKey = 'tt_retention';
+        this.retention = this.loadRetention();
+        this._ready = null;
+
+        this.session = null;
+        this._buffer = [];
+        this._chunkIndex = 0;
+        this._writes = Promise.resolve();
+        this._writeError = null;
+        this._firstTimestamp = null;
+        this._lastTimestamp = null;
+        this._sampleCount = 0;
+        this._cadenceSum = 0;
+        this._cadenceCount = 0;
+        this._raw = this._emptyRawCapture();
     }
 
-    setThresholds(thresholds) {
-        this.thresholds = { ...this.thresholds, ...thresholds };
-        console.log('Thresholds updated:', this.thresholds);
+    // Captura cruda: todos los eventos del sensor a la frecuencia nativa, aparte de las muestras
+    // diezmadas por el selector de frecuencia que alimentan la UI y los detectores
+    _emptyRawCapture() {
+        return { buffer: [], chunkIndex: 0, count: 0, first: null, last: null, intervalSum: 0, intervalCount: 0 };
     }
 
-    processAcceleration(z, timestamp) {
-        if (this.state !== 'IDLE') {
-            this.currentRepData.zValues.push(z);
-            this.currentRepData.maxZ = Math.max(this.currentRepData.maxZ, z);
-            this.currentRepData.minZ = Math.min(this.currentRepData.minZ, z);
-        }
+    _rawCaptureSummary() {
+        const raw = this._raw;
+        const rateHz = (count, first, last) => count > 1 && last > first ? (count - 1) / ((last - first) / 1000) : null;
+        return {
+            samples: raw.count,
+            chunkCount: raw.chunkIndex,
+            // Frecuencia conseguida realmente (eventos recibidos / tiempo), la que anuncia el
+            // navegador en `event.interval` y la de las muestras procesadas
+            effectiveRateHz: rateHz(raw.count, raw.first, raw.last),
+            reportedIntervalMs: raw.intervalCount ? raw.intervalSum / raw.intervalCount : null,
+            processedRateHz: rateHz(this._sampleCount, this._firstTimestamp, this._lastTimestamp)
+        };
+    }
 
-        switch (this.state) {
-            case 'IDLE':
-                if (z > this.thresholds.upwardAcceleration) {
-                    this.state = 'PULLING_UP';
-                    this.currentRepStartTime = timestamp;
-                    this.currentRepData = {
-                        maxZ: z,
-                        minZ: z,
-                        zValues: [z],
-                        duration: 0
-                    };
-                }
-                break;
+    // Tareas de arranque (migración, recuperación y retención). start() encola la creación de
+    // la sesión detrás de ellas: si no, recoverInterrupted() cerraría la que se acaba de abrir.
+    init() {
+        if (!this._ready) this._ready = this._runStartupTasks();
+        return this._ready;
+    }
 
-            case 'PULLING_UP':
-                if (z < this.thresholds.stableThreshold && z > this.thresholds.downwardAcceleration) {
-                    this.state = 'AT_TOP';
-                }
-                break;
+    async _runStartupTasks() {
+        try {
+            await this.store.migrateFromLocalStorage(this.legacySessionsKey);
+            await this.store.recoverInterrupted();
+            await this.store.applyRetention(this.retention);
+        } catch (e) {
+            console.error('Logger init error', e);
+        }
+    }
 
-            case 'AT_TOP':
-                if (z < this.thresholds.downwardAcceleration) {
-                    this.state = 'LOWERING';
-                } else if (z > this.thresholds.upwardAcceleration) {
-                    this.state = 'PULLING_UP';
-                }
-                break;
-
-            case 'LOWERING':
-                if (z > this.thresholds.downwardAcceleration && z < this.thresholds.upwardAcceleration) {
-                    this.currentRepData.duration = timestamp - this.currentRepStartTime;
-                    const timeSinceLastRep = timestamp - this.lastRepTime;
-                    const amplitude = this.currentRepData.maxZ - this.currentRepData.minZ;
-
-                    if (this.currentRepData.duration >= this.thresholds.minRepDuration &&
-                        this.currentRepData.duration <= this.thresholds.maxRepDuration &&
-                        amplitude >= this.thresholds.minAmplitude &&
-                        timeSinceLastRep >= this.cooldownPeriod) {
-                        this.completeRep(timestamp);
-                    }
-                    this.state = 'IDLE';
-                }
-                break;
+    loadRetention() {
+        try {
+            return { maxSessions: null, maxAgeDays: null, ...JSON.parse(localStorage.getItem(this.retentionKey) || '{}') };
+        } catch {
+            return { maxSessions: null, maxAgeDays: null };
         }
+    }
+
+    async setRetention(policy) {
+        this.retention = { maxSessions: null, maxAgeDays: null, ...policy };
+        localStorage.setItem(this.retentionKey, JSON.stringify(this.retention));
+        return this.store.applyRetention(this.retention);
+    }
 
+    _sessionContext() {
+        const reps = this._firstTimestamp === null
+            ? []
+            : repDetector.reps.filter(rep => rep.startTime >= this._firstTimestamp);
+        const tempoScores = reps.filter(rep => rep.tempo).map(rep => rep.tempo.adherence);
+        const activeProfile = exerciseProfiles.getActive();
         return {
-            state: this.state,
-            repCount: this.repCount,
-            quality: this.lastQuality
+            detectedAxis: detectedAxis,
+            accelerationSource: accelerationSource,
+            exercise: activeProfile ? {
+                id: exerciseProfiles.activeId,
+                name: activeProfile.name
+            } : null,
+            calibration: exerciseProfiles.getCalibration(exerciseProfiles.activeId),
+            // Series completadas mientras se registraba
+            sets: this._firstTimestamp === null
+                ? []
+                : workoutSession.sets.filter(set => set.startTime >= this._firstTimestamp),
+            // Registro individual de cada rep (fases, picos, amplitud, varianza y calidad)
+            reps,
+            // Media de la cadencia registrada (Hz), para el panel de progreso sin leer las muestras
+            avgCadenceHz: this._cadenceCount ? this._cadenceSum / this._cadenceCount : null,
+            rawCapture: this._rawCaptureSummary(),
+            tempo: activeProfile && activeProfile.tempo ? {
+                prescription: activeProfile.tempo,
+                adherence: tempoScores.length ? tempoScores.reduce((a, b) => a + b, 0) / tempoScores.length : null
+            } : null
         };
     }
 
-    completeRep(timestamp) {
-        this.repCount++;
-        this.lastRepTime = timestamp;
-        this.lastQuality = this.calculateRepQuality();
-        console.log(`Rep ${this.repCount} completed - Quality: ${this.lastQuality}%`);
-        
-        this.currentRepData = {
-            maxZ: -Infinity,
-            minZ: Infinity,
-            zValues: [],
-            duration: 0
+    start() {
+        if (this.isLogging) return;
+        this.isLogging = true;
+        this._buffer = [];
+        this._chunkIndex = 0;
+        this._writeError = null;
+        this._firstTimestamp = null;
+        this._lastTimestamp = null;
+        this._sampleCount = 0;
+        this._cadenceSum = 0;
+        this._cadenceCount = 0;
+        this._raw = this._emptyRawCapture();
+        this.session = {
+            startedAt: new Date().toISOString(),
+            endedAt: null,
+            length: 0,
+            chunkCount: 0,
+            ...this._sessionContext()
         };
+
+        const session = this.session;
+        this._writes = Promise.resolve(this._ready)
+            .then(() => this.store.createSession(session))
+            .then(id => { session.id = id; })
+            .catch(e => {
+                this._writeError = e;
+                console.error('Logger session create error', e);
+            });
+    }
+
+    append(entry) {
+        if (!this.isLogging) return;
+        if (this._firstTimestamp === null) this._firstTimestamp = entry.timestamp;
+        this._lastTimestamp = entry.timestamp;
+        this._sampleCount++;
+        if (entry.cadenceHz > 0) {
+            this._cadenceSum += entry.cadenceHz;
+            this._cadenceCount++;
+        }
+        this._buffer.push(entry);
+        this.session.length++;
+        if (this._buffer.length >= this.chunkSize) this._flush();
     }
 
-    calculateRepQuality() {
-        let quality = 100;
-        const duration = this.currentRepData.duration;
-        const idealDuration = 2000;
-        const durationDiff = Math.abs(duration - idealDuration);
+    appendRaw(entry) {
+        if (!this.isLogging) return;
+        const raw = this._raw;
+        if (raw.first === null) raw.first = entry.timestamp;
+        raw.last = entry.timestamp;
+        raw.count++;
+        if (entry.interval > 0) {
+            raw.intervalSum += entry.interval;
+            raw.intervalCount++;
+        }
+        raw.buffer.push(entry);
+        if (raw.buffer.length >= this.chunkSize) this._flushRaw();
+    }
+
+    _flush() {
+        this._flushRaw();
+        if (this._buffer.length === 0) return this._writes;
+        const samples = this._buffer;
+        const index = this._chunkIndex++;
+        this._buffer = [];
+        this.session.chunkCount = this._chunkIndex;
+        return this._writeChunk(index, samples, 'chunks');
+    }
+
+    _flushRaw() {
+        const raw = this._raw;
+        if (raw.buffer.length === 0) return this._writes;
+        const samples = raw.buffer;
+        raw.buffer = [];
+        return this._writeChunk(raw.chunkIndex++, samples, 'rawChunks');
+    }
 
-        if (durationDiff > 1000) quality -= 15;
-        else if (durationDiff > 500) quality -= 8;
+    // Encola la escritura de un bloque detrás de las anteriores (y de la creación de la sesión)
+    _writeChunk(index, samples, storeName) {
+        const session = this.session;
+        this._writes = this._writes
+            .then(() => {
+                if (session.id === undefined) throw this._writeError || new Error('Session not created');
+                return this.store.appendChunk(session.id, index, samples, storeName);
+            })
+            .catch(e => {
+                this._writeError = e;
+                console.error('Logger chunk write error', e);
+            });
+        return this._writes;
+    }
 
-        const range = this.currentRepData.maxZ - this.currentRepData.minZ;
-        if (range < 1.0) quality -= 20;
-        else if (range < 1.5) quality -= 10;
+    async stop() {
+        if (!this.isLogging) return null;
+        this.isLogging = false;
+        const session = this.session;
 
-        if (this.currentRepData.zValues.length > 2) {
-            const variance = this.calculateVariance(this.currentRepData.zValues);
-            if (variance > 1.5) quality -= 15;
-            else if (variance > 0.8) quality -= 8;
+        await this._flush();
+        if (this.session === session) this.session = null;
+        if (this._writeError || session.id === undefined) {
+            console.error('Logger persist error', this._writeError);
+            return null;
         }
 
-        return Math.max(0, Math.min(100, quality));
+        Object.assign(session, this._sessionContext(), { endedAt: new Date().toISOString() });
+        try {
+            await this.store.putSession(session);
+            await this.store.applyRetention(this.retention);
+            return session;
+        } catch (e) {
+            console.error('Logger persist error', e);
+            return null;
+        }
     }
 
-    calculateVariance(values) {
-        const mean = values.reduce((a, b) => a + b, 0) / values.length;
-        const squaredDiffs = values.map(v => Math.pow(v - mean, 2));
-        return squaredDiffs.reduce((a, b) => a + b, 0) / values.length;
+    async getSessions() {
+        try { return await this.store.listSessions(); }
+        catch (e) {
+            console.error('Logger read error', e);
+            return [];
+        }
     }
 
-    getPhaseText() {
-        const phases = {
-            'IDLE': 'Listo',
-            'PULLING_UP': 'Subiendo',
-            'AT_TOP': 'Arriba',
-            'LOWERING': 'Bajando'
-        };
-        return phases[this.state] || 'Listo';
+    async getSessionWithData(id) {
+        const session = await this.store.getSession(id);
+        if (!session) return null;
+        return { ...session, data: await this.store.getSamples(id) };
     }
 
-    reset() {
-        this.state = 'IDLE';
-        this.repCount = 0;
-        this.currentRepStartTime = null;
-        this.currentRepData = { maxZ: -Infinity, minZ: Infinity, zValues: [], duration: 0 };
-        this.lastQuality = 0;
-        this.lastRepTime = 0;
+    // Cambios de metadatos de una sesión guardada (nombre, notas)
+    async updateSession(id, changes) {
+        const session = await this.store.getSession(id);
+        if (!session) return null;
+        Object.assign(session, changes);
+        await this.store.putSession(session);
+        return session;
     }
-}
-
-// ========================================
-// ELEMENTOS DEL DOM
-// ========================================
 
-const startBtn = document.getElementById('startBtn');
-const calibrateBtn = document.getElementById('calibrateBtn');
-const xValue = document.getElementById('xValue');
-const yValue = document.getElementById('yValue');
-const zValue = document.getElementById('zValue');
-const status = document.getElementById('status');
-const chartCanvas = document.getElementById('chart');
-const toggleX = document.getElementById('toggleX');
-const toggleY = document.getElementById('toggleY');
-const toggleZ = document.getElementById('toggleZ');
-const repCountEl = document.getElementById('repCount');
-const repPhaseEl = document.getElementById('repPhase');
-let cadenceValueEl = null;
+    // Completa `avgCadenceHz` en sesiones guardadas antes de que se registrara la media. Una
+    // sesión que no se pueda leer se queda sin media y se reintenta la próxima vez.
+    async backfillCadence(sessions) {
+        for (const session of sessions) {
+            if (session.avgCadenceHz !== undefined || !session.length) continue;
+            if (this.session && this.session.id === session.id) continue;
+            try {
+                const samples = await this.store.getSamples(session.id);
+                const values = samples.map(r => r.cadenceHz).filter(v => v > 0);
+                const avgCadenceHz = values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+                await this.updateSession(session.id, { avgCadenceHz });
+                session.avgCadenceHz = avgCadenceHz;
+            } catch (e) {
+                console.error(`Cadence backfill failed for session ${session.id}`, e);
+            }
+        }
+    }
 
-// Elementos del panel de calibración
-const calibrationPanel = document.getElementById('calibrationPanel');
-const calibrationStatus = document.getElementById('calibrationStatus');
-const progressBar = document.getElementById('progressBar');
-const progressText = document.getElementById('progressText');
-const calibrationResults = document.getElementById('calibrationResults');
-const thresholdUp = document.getElementById('thresholdUp');
-const thresholdDown = document.getElementById('thresholdDown');
-const thresholdAmplitude = document.getElementById('thresholdAmplitude');
-const closeCalibrateBtn = document.getElementById('closeCalibrateBtn');
-const applyCalibrateBtn = document.getElementById('applyCalibrateBtn');
+    async deleteSession(id) {
+        if (this.session && this.session.id === id) {
+            throw new Error('No se puede eliminar la sesión que se está registrando');
+        }
+        await this.store.deleteSession(id);
+    }
 
-// ========================================
-// VARIABLES GLOBALES
-// ========================================
+    // Importa un archivo de exportJSON/exportCSV y añade al historial las sesiones que no existan.
+    // Devuelve { imported, duplicates, errors: [{ source, message }] }.
+    async importFile(file) {
+        const text = await file.text();
+        const isCSV = /\.csv$/i.test(file.name) || (!/\.json$/i.test(file.name) && !/^\s*[[{]/.test(text));
+        const { sessions, errors } = isCSV ? parseSessionsCSV(text) : parseSessionsJSON(text);
+
+        const existing = (await this.getSessions()).filter(s => !this.session || s.id !== this.session.id);
+        const fingerprints = new Map();
+        const report = { imported: 0, duplicates: 0, errors };
+        for (const { session, data, rawData = [] } of sessions) {
+            const fingerprint = sessionFingerprint(data);
+            if (await this._isDuplicate(session, data.length, fingerprint, existing, fingerprints)) {
+                report.duplicates++;
+                continue;
+            }
+            const id = await this.store.addSessionWithSamples(session, data, rawData);
+            existing.push({ ...session, id, length: data.length });
+            fingerprints.set(id, fingerprint);
+            report.imported++;
+        }
+        console.log(`Imported ${report.imported} sessions (${report.duplicates} duplicates, ${errors.length} errors)`);
+        return report;
+    }
 
-let isRunning = false;
-let isCalibrating = false;
-let chart = null;
-let intensityGauge = null;
-let qualityGauge = null;
-let dataLogger = new DataLogger();
-let debugLogger = new DebugLogger();
-const logStartBtn = document.getElementById('logStartBtn');
-const logStopBtn = document.getElementById('logStopBtn');
-const exportJsonBtn = document.getElementById('exportJsonBtn');
-const exportCsvBtn = document.getElementById('exportCsvBtn');
-const debugToggleBtn = document.getElementById('debugToggleBtn');
-const debugPanel = document.getElementById('debugPanel');
-const debugExportBtn = document.getElementById('debugExportBtn');
-const debugClearBtn = document.getElementById('debugClearBtn');
+    // Misma fecha de inicio y número de muestras, o mismo contenido
+    async _isDuplicate(session, length, fingerprint, existing, fingerprints) {
+        for (const other of existing) {
+            if (other.length !== length) continue;
+            if (other.startedAt === session.startedAt) return true;
+            if (!fingerprints.has(other.id)) {
+                const samples = await this.store.getSamples(other.id);
+                fingerprints.set(other.id, samples.length ? sessionFingerprint(samples) : null);
+            }
+            if (fingerprints.get(other.id) === fingerprint) return true;
+        }
+        return false;
+    }
 
-let axisFilter = new MovingAverageFilter(5);
-let repDetector = new RepDetector();
-let autoCalibrator = new AutoCalibrator();
-let detectedAxis = 'y';
-let calibratedThresholds = null;
+    async _getAllSessionsWithData() {
+        const sessions = await this.getSessions();
+        const full = [];
+        for (const s of sessions) {
+            const raw = await this.store.getSamples(s.id, 'rawChunks');
+            full.push({ ...s, data: await this.store.getSamples(s.id), ...(raw.length ? { raw } : {}) });
+        }
+        return full;
+    }
 
-let monitoringStatusBase = '';
+    async exportJSON() {
+        const sessions = await this._getAllSessionsWithData();
+        const blob = new Blob([JSON.stringify(sessions, null, 2)], { type: 'application/json' });
+        this._downloadBlob(blob, `sessions-${Date.now()}.json`);
+    }
 
-let samplingInterval = 33;
-let lastSampleTime = 0;
+    // Muestras en CSV de todo el historial o, con `sessionId`, de una sola sesión
+    async exportCSV({ sessionId = null } = {}) {
+        const sessions = sessionId === null
+            ? await this._getAllSessionsWithData()
+            : [await this.getSessionWithData(sessionId)].filter(Boolean);
+        const blob = new Blob([samplesToCSV(sessions)], { type: 'text/csv' });
+        this._downloadBlob(blob, `${sessionId === null ? 'sessions' : `session-${sessionId}`}-${Date.now()}.csv`);
+    }
 
-let cadenceEstimator = new FFTCadenceEstimator({
-    fftSize: 128,
-    sampleRateHz: Math.round(1000 / samplingInterval),
-    fMinHz: 0.2,
-    fMaxHz: 5.0,
-    updateEvery: 4,
-    smoothingAlpha: 0.35
-});
+    // Resumen por rep; solo necesita los metadatos, no las muestras
+    async exportRepsCSV({ sessionId = null } = {}) {
+        const sessions = sessionId === null
+            ? await this.getSessions()
+            : [await this.store.getSession(sessionId)].filter(Boolean);
+        const blob = new Blob([repsToCSV(sessions)], { type: 'text/csv' });
+        this._downloadBlob(blob, `${sessionId === null ? 'reps' : `reps-session-${sessionId}`}-${Date.now()}.csv`);
+    }
+
+    // Actividad FIT de fuerza de una sesión. El archivo se decodifica de nuevo antes de
+    // descargarlo; si no describe la sesión se lanza un error con los problemas encontrados.
+    async exportFIT(sessionId) {
+        const session = await this.store.getSession(sessionId);
+        if (!session) throw new Error('Sesión no encontrada');
+        const categoryName = session.exercise ? FIT_EXERCISE_CATEGORIES[session.exercise.id] : null;
+        const bytes = TrainingFit.encodeActivity(session, {
+            category: TrainingFit.EXERCISE_CATEGORY[categoryName || 'unknown']
+        });
+        const validation = TrainingFit.validateActivity(bytes, session);
+        if (!validation.valid) throw new Error('FIT no válido: ' + validation.errors.join('; '));
+        this._downloadBlob(new Blob([bytes], { type: 'application/vnd.ant.fit' }), `session-${sessionId}-${Date.now()}.fit`);
+        return validation;
+    }
+
+    _downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url; a.download = filename; a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Perfiles de ejercicio: presets incluidos + perfiles del usuario. Cada perfil tiene sus umbrales
+// por defecto, su propia calibración y su modelo de calidad (ver DEFAULT_QUALITY_MODEL).
+class ExerciseProfileStore {
+    constructor() {
+        this.customKey = 'tt_exerciseProfiles';
+        this.calibrationsKey = 'tt_profileCalibrations';
+        this.activeKey = 'tt_activeProfile';
+        this.custom = [];
+        this.calibrations = {};
+        this.activeId = 'pullup';
+    }
+
+    load() {
+        try {
+            this.custom = JSON.parse(localStorage.getItem(this.customKey) || '[]');
+            this.calibrations = JSON.parse(localStorage.getItem(this.calibrationsKey) || '{}');
+        } catch (e) {
+            console.error('Error loading exercise profiles:', e);
+            this.custom = [];
+            this.calibrations = {};
+        }
+        this.activeId = localStorage.getItem(this.activeKey) || 'pullup';
+        if (!this.get(this.activeId)) this.activeId = 'pullup';
+        this._migrateLegacyCalibration();
+    }
+
+    // La calibración global de versiones anteriores se hizo con dominadas
+    _migrateLegacyCalibration() {
+        const legacy = localStorage.getItem('calibratedThresholds');
+        if (!legacy) return;
+        try {
+            if (!this.calibrations.pullup) {
+                this.calibrations.pullup = {
+                    thresholds: JSON.parse(legacy),
+                    date: localStorage.getItem('calibrationDate')
+                };
+                this._save();
+                console.log('Legacy calibration migrated to pull-up profile');
+            }
+            localStorage.removeItem('calibratedThresholds');
+            localStorage.removeItem('calibrationDate');
+        } catch (e) {
+            console.error('Error migrating legacy calibration:', e);
+        }
+    }
+
+    _save() {
+        localStorage.setItem(this.customKey, JSON.stringify(this.custom));
+        localStorage.setItem(this.calibrationsKey, JSON.stringify(this.calibrations));
+        localStorage.setItem(this.activeKey, this.activeId);
+    }
+
+    list() {
+        return [...BUILTIN_EXERCISE_PROFILES, ...this.custom];
+    }
+
+    get(id) {
+        return this.list().find(p => p.id === id) || null;
+    }
+
+    getActive() {
+        return this.get(this.activeId);
+    }
+
+    setActive(id) {
+        if (!this.get(id)) return;
+        this.activeId = id;
+        this._save();
+    }
+
+    // Crea o actualiza un perfil del usuario; los presets no se modifican (se guarda una copia)
+    saveCustom(profile) {
+        const existing = this.custom.findIndex(p => p.id === profile.id);
+        const saved = {
+            ...profile,
+            id: existing >= 0 ? profile.id : `custom-${Date.now()}`,
+            builtin: false
+        };
+        if (existing >= 0) this.custom[existing] = saved;
+        else this.custom.push(saved);
+        this._save();
+        return saved;
+    }
+
+    deleteCustom(id) {
+        this.custom = this.custom.filter(p => p.id !== id);
+        delete this.calibrations[id];
+        if (this.activeId === id) this.activeId = 'pullup';
+        this._save();
+    }
+
+    getCalibration(id) {
+        return this.calibrations[id] || null;
+    }
+
+    setCalibration(id, thresholds) {
+        this.calibrations[id] = { thresholds, date: new Date().toISOString() };
+        this._save();
+    }
+
+    clearCalibration(id) {
+        delete this.calibrations[id];
+        this._save();
+    }
+
+    // Umbrales efectivos: los del perfil, sustituidos por los calibrados si existen
+    getThresholds(id) {
+        const profile = this.get(id);
+        if (!profile) return null;
+        const calibration = this.getCalibration(id);
+        return calibration ? { ...profile.thresholds, ...calibration.thresholds } : { ...profile.thresholds };
+    }
+
+    getQualityModel(id) {
+        const profile = this.get(id);
+        return profile ? { ...DEFAULT_QUALITY_MODEL, ...profile.quality } : { ...DEFAULT_QUALITY_MODEL };
+    }
+
+    getAudioSettings(id) {
+        const profile = this.get(id);
+        return profile ? { ...DEFAULT_AUDIO_SETTINGS, ...profile.audio } : { ...DEFAULT_AUDIO_SETTINGS };
+    }
+}
+
+// Reproduce muestras registradas respetando sus timestamps originales (speed > 1 acelera)
+class SessionReplayer {
+    constructor(samples, { speed = 1, onSample = null, onEnd = null } = {}) {
+        this.samples = samples;
+        this.speed = speed;
+        this.onSample = onSample;
+        this.onEnd = onEnd;
+        this.index = 0;
+        this.isPlaying = false;
+        this._timer = null;
+        this._wallStart = 0;
+        this._dataStart = 0;
+    }
+
+    start() {
+        if (this.isPlaying || this.samples.length === 0) return;
+        this.isPlaying = true;
+        this.index = 0;
+        this._dataStart = this.samples[0].timestamp;
+        this._wallStart = performance.now();
+        this._tick();
+    }
+
+    stop() {
+        if (!this.isPlaying) return;
+        this.isPlaying = false;
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    _tick() {
+        if (!this.isPlaying) return;
+
+        // Velocidad máxima: lotes por tick para no bloquear la UI
+        const elapsed = isFinite(this.speed)
+            ? (performance.now() - this._wallStart) * this.speed
+            : Infinity;
+        let emitted = 0;
+        while (this.index < this.samples.length && emitted < 200) {
+            const sample = this.samples[this.index];
+            if (sample.timestamp - this._dataStart > elapsed) break;
+            if (this.onSample) this.onSample(sample, this.index);
+            this.index++;
+            emitted++;
+        }
+
+        if (this.index >= this.samples.length) {
+            this.isPlaying = false;
+            if (this.onEnd) this.onEnd();
+            return;
+        }
+
+        const next = this.samples[this.index].timestamp - this._dataStart;
+        const delay = isFinite(this.speed) ? Math.max(0, (next - elapsed) / this.speed) : 0;
+        this._timer = setTimeout(() => this._tick(), delay);
+    }
+}
+
+// ========================================
+// FUENTES DE MOVIMIENTO
+// ========================================
+
+// Normaliza un vector {x, y, z} de cualquier fuente (null si no trae datos)
+function toMotionVector(v) {
+    if (!v || (v.x == null && v.y == null && v.z == null)) return null;
+    return { x: v.x || 0, y: v.y || 0, z: v.z || 0 };
+}
+
+// Interfaz común de las fuentes de movimiento. Cada muestra emitida tiene la forma
+// { timestamp, acceleration, accelerationIncludingGravity, interval, rotationRate }
+// donde los vectores son {x, y, z} en m/s² o null si la fuente no los proporciona.
+class MotionSource {
+    constructor(kind) {
+        this.kind = kind;
+        this.isActive = false;
+        this.axisHint = null; // Eje vertical ya conocido (p. ej. en sesiones registradas)
+        this.onend = null;
+        this._listeners = new Set();
+    }
+
+    isSupported() {
+        return true;
+    }
+
+    async requestPermission() {
+        return true;
+    }
+
+    subscribe(listener) {
+        this._listeners.add(listener);
+        return () => this._listeners.delete(listener);
+    }
+
+    async start() {
+        if (this.isActive) return;
+        this.isActive = true;
+        try {
+            await this._start();
+        } catch (error) {
+            this.isActive = false;
+            throw error;
+        }
+    }
+
+    stop() {
+        if (!this.isActive) return;
+        this.isActive = false;
+        this._stop();
+    }
+
+    _start() {}
+
+    _stop() {}
+
+    _emit(sample) {
+        for (const listener of this._listeners) listener(sample);
+    }
+
+    // La fuente terminó por sí sola (fin de archivo, socket cerrado...)
+    _end() {
+        if (!this.isActive) return;
+        this.isActive = false;
+        this._stop();
+        if (this.onend) this.onend();
+    }
+}
+
+// Eventos `devicemotion` del navegador. El timestamp sale de `event.timeStamp` (alta resolución,
+// relativo a performance.timeOrigin) en lugar de Date.now() en el manejador, que acumula el
+// retraso del hilo principal. Si el navegador repite o no da timeStamp, se avanza `event.interval`.
+class DeviceMotionSource extends MotionSource {
+    constructor() {
+        super('devicemotion');
+        this._lastTimestamp = null;
+        this._handler = (event) => this._emit({
+            timestamp: this._eventTimestamp(event),
+            acceleration: toMotionVector(event.acceleration),
+            accelerationIncludingGravity: toMotionVector(event.accelerationIncludingGravity),
+            interval: event.interval ?? null,
+            rotationRate: event.rotationRate ? {
+                alpha: event.rotationRate.alpha,
+                beta: event.rotationRate.beta,
+                gamma: event.rotationRate.gamma
+            } : null
+        });
+    }
+
+    isSupported() {
+        return typeof window !== 'undefined' && !!window.DeviceMotionEvent;
+    }
+
+    _eventTimestamp(event) {
+        const hasTimeStamp = event.timeStamp > 0 && typeof performance !== 'undefined' && performance.timeOrigin;
+        let timestamp = hasTimeStamp ? performance.timeOrigin + event.timeStamp : Date.now();
+        // `interval` es en ms según la especificación; Safari antiguo lo daba en segundos
+        const intervalMs = event.interval > 0 ? (event.interval < 1 ? event.interval * 1000 : event.interval) : null;
+        if (this._lastTimestamp !== null && timestamp <= this._lastTimestamp && intervalMs) {
+            timestamp = this._lastTimestamp + intervalMs;
+        }
+        this._lastTimestamp = timestamp;
+        return timestamp;
+    }
+
+    // iOS 13+ exige permiso explícito; lanza si la petición falla
+    async requestPermission() {
+        if (typeof DeviceMotionEvent !== 'undefined' && typeof DeviceMotionEvent.requestPermission === 'function') {
+            const permission = await DeviceMotionEvent.requestPermission();
+            return permission === 'granted';
+        }
+        return true;
+    }
+
+    _start() {
+        this._lastTimestamp = null;
+        window.addEventListener('devicemotion', this._handler);
+    }
+
+    _stop() {
+        window.removeEventListener('devicemotion', this._handler);
+    }
+}
+
+// Generic Sensor API: LinearAccelerationSensor (sin gravedad) y Accelerometer (con gravedad).
+// Como en DeviceMotionSource, el timestamp es el de la lectura (`sensor.timestamp`, relativo a
+// performance.timeOrigin) y no la hora a la que el manejador llega a ejecutarse.
+class GenericSensorSource extends MotionSource {
+    constructor({ frequency = 60 } = {}) {
+        super('sensor');
+        this.frequency = frequency;
+        this._linear = null;
+        this._accelerometer = null;
+        this._gravityReading = null;
+    }
+
+    isSupported() {
+        return typeof window !== 'undefined' &&
+            ('LinearAccelerationSensor' in window || 'Accelerometer' in window);
+    }
+
+    _sensorTimestamp(sensor) {
+        const hasTimestamp = sensor.timestamp > 0 && typeof performance !== 'undefined' && performance.timeOrigin;
+        return hasTimestamp ? performance.timeOrigin + sensor.timestamp : Date.now();
+    }
+
+    async requestPermission() {
+        if (!navigator.permissions || !navigator.permissions.query) return true;
+        try {
+            const result = await navigator.permissions.query({ name: 'accelerometer' });
+            return result.state !== 'denied';
+        } catch {
+            return true;
+        }
+    }
+
+    _start() {
+        const onError = (event) => console.error('Generic Sensor error:', event.error ? event.error.name : event);
+
+        if ('Accelerometer' in window) {
+            this._accelerometer = new Accelerometer({ frequency: this.frequency });
+            this._accelerometer.addEventListener('reading', () => {
+                const s = this._accelerometer;
+                this._gravityReading = { x: s.x, y: s.y, z: s.z };
+                // Sin sensor lineal, el acelerómetro es la única lectura disponible
+                if (!this._linear) {
+                    this._emit({
+                        timestamp: this._sensorTimestamp(s),
+                        acceleration: null,
+                        accelerationIncludingGravity: this._gravityReading,
+                        interval: 1000 / this.frequency,
+                        rotationRate: null
+                    });
+                }
+            });
+            this._accelerometer.addEventListener('error', onError);
+        }
+
+        if ('LinearAccelerationSensor' in window) {
+            this._linear = new LinearAccelerationSensor({ frequency: this.frequency });
+            this._linear.addEventListener('reading', () => {
+                const s = this._linear;
+                this._emit({
+                    timestamp: this._sensorTimestamp(s),
+                    acceleration: { x: s.x, y: s.y, z: s.z },
+                    accelerationIncludingGravity: this._gravityReading,
+                    interval: 1000 / this.frequency,
+                    rotationRate: null
+                });
+            });
+            this._linear.addEventListener('error', onError);
+        }
+
+        if (this._accelerometer) this._accelerometer.start();
+        if (this._linear) this._linear.start();
+    }
+
+    _stop() {
+        if (this._accelerometer) this._accelerometer.stop();
+        if (this._linear) this._linear.stop();
+        this._accelerometer = null;
+        this._linear = null;
+        this._gravityReading = null;
+    }
+}
+
+// Sesión registrada (IndexedDB o archivo exportado) reproducida con sus tiempos originales
+class ReplayMotionSource extends MotionSource {
+    constructor(session, { speed = 1 } = {}) {
+        super('replay');
+        this.samples = session.data
+            .filter(r => typeof r.timestamp === 'number')
+            .sort((a, b) => a.timestamp - b.timestamp);
+        this.speed = speed;
+        this.axisHint = (this.samples.find(r => r.axis) || {}).axis || session.detectedAxis || null;
+        this._replayer = null;
+    }
+
+    _start() {
+        this._replayer = new SessionReplayer(this.samples, {
+            speed: this.speed,
+            onSample: (r) => this._emit({
+                timestamp: r.timestamp,
+                acceleration: { x: r.x || 0, y: r.y || 0, z: r.z || 0 },
+                accelerationIncludingGravity: r.gx != null ? { x: r.gx, y: r.gy, z: r.gz } : null,
+                interval: null,
+                rotationRate: null,
+                recorded: r
+            }),
+            onEnd: () => this._end()
+        });
+        this._replayer.start();
+    }
+
+    _stop() {
+        if (this._replayer) this._replayer.stop();
+        this._replayer = null;
+    }
+}
+
+// Flujo JSON desde un puente local por WebSocket. Acepta una muestra, un array de muestras
+// o {samples: [...]}; cada muestra puede traer {timestamp|t, x, y, z} o los vectores completos.
+class WebSocketMotionSource extends MotionSource {
+    constructor(url) {
+        super('websocket');
+        this.url = url;
+        this._socket = null;
+    }
+
+    isSupported() {
+        return typeof WebSocket !== 'undefined';
+    }
+
+    _start() {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.url);
+            let opened = false;
+            socket.onopen = () => {
+                opened = true;
+                console.log(`WebSocket motion source connected: ${this.url}`);
+                resolve();
+            };
+            socket.onerror = () => {
+                if (!opened) reject(new Error(`No se pudo conectar a ${this.url}`));
+            };
+            socket.onclose = () => {
+                console.log('WebSocket motion source closed');
+                this._end();
+            };
+            socket.onmessage = (event) => this._handleMessage(event.data);
+            this._socket = socket;
+        });
+    }
+
+    _stop() {
+        if (this._socket) {
+            this._socket.onclose = null;
+            this._socket.close();
+        }
+        this._socket = null;
+    }
+
+    _handleMessage(data) {
+        let parsed;
+        try {
+            parsed = JSON.parse(data);
+        } catch {
+            console.warn('WebSocket: mensaje no JSON descartado');
+            return;
+        }
+        const samples = Array.isArray(parsed) ? parsed : (Array.isArray(parsed.samples) ? parsed.samples : [parsed]);
+        for (const s of samples) {
+            const sample = this._normalize(s);
+            if (sample) this._emit(sample);
+        }
+    }
+
+    _normalize(s) {
+        if (!s || typeof s !== 'object') return null;
+        const acceleration = toMotionVector(s.acceleration) || (s.x !== undefined ? toMotionVector(s) : null);
+        const accelerationIncludingGravity = toMotionVector(s.accelerationIncludingGravity);
+        if (!acceleration && !accelerationIncludingGravity) return null;
+        return {
+            timestamp: typeof s.timestamp === 'number' ? s.timestamp : (typeof s.t === 'number' ? s.t : Date.now()),
+            acceleration,
+            accelerationIncludingGravity,
+            interval: s.interval ?? null,
+            rotationRate: s.rotationRate ?? null
+        };
+    }
+}
+
+// Generador pseudoaleatorio determinista (mulberry32) para señales sintéticas reproducibles
+function createSeededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Señal sintética de repeticiones para desarrollar sin teléfono. Cada rep sigue un perfil de
+// posición de medio coseno (concéntrica, pausa arriba, excéntrica, pausa abajo), así que la
+// aceleración vertical es suave y físicamente coherente; `amplitude` es su pico concéntrico.
+class SyntheticMotionSource extends MotionSource {
+    constructor(options = {}) {
+        super('synthetic');
+        this.options = { ...DEFAULT_SYNTHETIC_OPTIONS, ...options };
+        this._timer = null;
+    }
+
+    // Duración relativa de cada tramo dentro del periodo de una rep
+    static get PHASE_SPLIT() {
+        return { concentric: 0.3, top: 0.15, eccentric: 0.4, bottom: 0.15 };
+    }
+
+    _buildSchedule(random) {
+        const { reps, tempo, amplitude, leadIn } = this.options;
+        const split = SyntheticMotionSource.PHASE_SPLIT;
+        const schedule = [];
+        let t = leadIn * 1000;
+        for (let i = 0; i < reps; i++) {
+            // Variación natural de ±10% entre repeticiones
+            const period = tempo * 1000 * (0.9 + 0.2 * random());
+            const concentric = period * split.concentric;
+            const peak = amplitude * (0.9 + 0.2 * random());
+            schedule.push({
+                start: t,
+                concentric,
+                top: period * split.top,
+                eccentric: period * split.eccentric,
+                // Desplazamiento que produce el pico de aceleración pedido en la concéntrica
+                displacement: 2 * peak / Math.pow(Math.PI / (concentric / 1000), 2)
+            });
+            t += period;
+        }
+        return { schedule, duration: t + leadIn * 1000 };
+    }
+
+    // Aceleración vertical (m/s²) en el instante t (ms desde el inicio)
+    _verticalAcceleration(t) {
+        for (const rep of this._schedule) {
+            const tc = rep.start + rep.concentric;
+            const te = tc + rep.top + rep.eccentric;
+            if (t < rep.start || t >= te) continue;
+
+            if (t < tc) {
+                const w = Math.PI / (rep.concentric / 1000);
+                return (rep.displacement / 2) * w * w * Math.cos(w * (t - rep.start) / 1000);
+            }
+            if (t >= tc + rep.top) {
+                const w = Math.PI / (rep.eccentric / 1000);
+                return -(rep.displacement / 2) * w * w * Math.cos(w * (t - tc - rep.top) / 1000);
+            }
+            return 0;
+        }
+        return 0;
+    }
+
+    _gaussian() {
+        // Box-Muller
+        const u = Math.max(this._random(), 1e-12);
+        const v = this._random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    _start() {
+        const { rate, seed } = this.options;
+        this._random = createSeededRandom(seed ?? Math.floor(Math.random() * 2 ** 32));
+        const { schedule, duration } = this._buildSchedule(this._random);
+        this._schedule = schedule;
+        this._duration = duration;
+        this._dt = 1000 / rate;
+        this._index = 0;
+        this._dropRemaining = 0;
+        this._startTime = Date.now();
+
+        console.log(`Synthetic source: ${schedule.length} reps, ${(duration / 1000).toFixed(1)} s on axis ${this.options.axis.toUpperCase()}`);
+        this._timer = setInterval(() => this._tick(), this._dt);
+    }
+
+    _stop() {
+        clearInterval(this._timer);
+        this._timer = null;
+    }
+
+    _tick() {
+        const elapsed = Date.now() - this._startTime;
+        while (this._index * this._dt <= elapsed) {
+            const t = this._index * this._dt;
+            this._index++;
+            if (t > this._duration) {
+                this._end();
+                return;
+            }
+            const sample = this._sampleAt(t);
+            if (sample) this._emit(sample);
+        }
+    }
+
+    _sampleAt(t) {
+        const { noise, drift, dropouts, axis } = this.options;
+
+        // Huecos de 1-5 muestras, como los de sensores reales bajo carga
+        if (this._dropRemaining > 0) {
+            this._dropRemaining--;
+            return null;
+        }
+        if (dropouts > 0 && this._random() < dropouts) {
+            this._dropRemaining = Math.floor(this._random() * 5);
+            return null;
+        }
+
+        const bias = drift * (t / 60000);
+        const vertical = this._verticalAcceleration(t);
+        const acceleration = {
+            x: noise * this._gaussian() + bias,
+            y: noise * this._gaussian() + bias,
+            z: noise * this._gaussian() + bias
+        };
+        acceleration[axis] += vertical;
+
+        const accelerationIncludingGravity = { ...acceleration };
+        accelerationIncludingGravity[axis] += 9.81;
+
+        return {
+            timestamp: this._startTime + Math.round(t),
+            acceleration,
+            accelerationIncludingGravity,
+            interval: this._dt,
+            rotationRate: { alpha: 0, beta: 0, gamma: 0 }
+        };
+    }
+}
+
+// ========================================
+// COACHING POR AUDIO
+// ========================================
+
+// Voz, tonos y metrónomo a partir de los eventos del tracker. El AudioContext se crea en el primer
+// gesto del usuario (unlock) porque los navegadores bloquean el audio sin interacción. Con
+// `navigator.audioSession` (Safari) se declara audio "ambient" para que el interruptor de silencio
+// del dispositivo lo apague; además hay un silencio propio de la app.
+class AudioCoach {
+    constructor({ storageKey = 'tt_audioMuted' } = {}) {
+        this.storageKey = storageKey;
+        this.muted = localStorage.getItem(storageKey) === 'true';
+        this.settings = { ...DEFAULT_AUDIO_SETTINGS };
+        this.mode = null; // modo de la sesión activa: monitor | calibration | replay
+        this.context = null;
+        this.onchange = null;
+        this._metronomeTimer = null;
+        this._nextBeat = 0;
+        this._lastDriftWarning = 0;
+        this.cadenceDrift = null;
+
+        if (typeof navigator !== 'undefined' && navigator.audioSession) {
+            try {
+                navigator.audioSession.type = 'ambient';
+            } catch (error) {
+                console.warn('audioSession not configurable:', error);
+            }
+        }
+    }
+
+    configure(settings) {
+        this.settings = { ...DEFAULT_AUDIO_SETTINGS, ...settings };
+        if (this._metronomeTimer) {
+            this.stopMetronome();
+            this.startMetronome();
+        }
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        localStorage.setItem(this.storageKey, String(muted));
+        if (muted && typeof speechSynthesis !== 'undefined') speechSynthesis.cancel();
+        if (this.onchange) this.onchange();
+    }
+
+    unlock() {
+        const AudioCtx = window.AudioContext || window.webkitAudioContext;
+        if (!AudioCtx) return null;
+        try {
+            if (!this.context) this.context = new AudioCtx();
+            if (this.context.state === 'suspended') this.context.resume();
+        } catch (error) {
+            console.warn('AudioContext unavailable:', error);
+            this.context = null;
+        }
+        return this.context;
+    }
+
+    // Suscribe el coach a los eventos del tracker
+    attach(events) {
+        events.on('start', ({ mode }) => {
+            this.mode = mode;
+            if (mode === 'monitor') this.startMetronome();
+        });
+        events.on('stop', () => {
+            this.mode = null;
+            this.stopMetronome();
+            this.cadenceDrift = null;
+        });
+        events.on('rep', ({ set }) => {
+            if (this.mode === 'monitor' && this.settings.voice && set) this.speak(String(set.reps));
+        });
+        events.on('phasechange', ({ to }) => {
+            if (this.mode !== 'monitor' || !this.settings.phaseCues) return;
+            const pitch = { PULLING_UP: 660, AT_TOP: 880, LOWERING: 440 }[to];
+            if (pitch) this.tone(pitch, 80, 0.12);
+        });
+        events.on('calibrationprogress', () => {
+            if (this.settings.calibrationCues) this.tone(740, 120);
+        });
+        events.on('calibrationcomplete', () => {
+            if (!this.settings.calibrationCues) return;
+            this.tone(660, 150);
+            this.tone(990, 250, 0.2, 0.16);
+        });
+        events.on('cadence', ({ frequencyHz, confident }) => {
+            if (confident) this._checkCadence(frequencyHz * 60);
+        });
+        events.on('fatigue', () => this.warn());
+    }
+
+    speak(text) {
+        if (this.muted || typeof speechSynthesis === 'undefined') return;
+        // Cancelar lo pendiente: si el habla se retrasa, mejor saltar números que acumularlos
+        speechSynthesis.cancel();
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = 'es-ES';
+        utterance.rate = 1.2;
+        speechSynthesis.speak(utterance);
+    }
+
+    tone(frequency, durationMs = 150, volume = 0.2, delaySec = 0) {
+        if (this.muted) return;
+        const context = this.unlock();
+        if (!context) return;
+        this._scheduleTone(context, frequency, durationMs, volume, context.currentTime + delaySec);
+    }
+
+    // Aviso: dos tonos graves (fatiga, cadencia fuera de rango)
+    warn() {
+        this.tone(330, 180, 0.25);
+        this.tone(330, 180, 0.25, 0.25);
+    }
+
+    _scheduleTone(context, frequency, durationMs, volume, when) {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(volume, when);
+        gain.gain.exponentialRampToValueAtTime(0.001, when + durationMs / 1000);
+        oscillator.connect(gain).connect(context.destination);
+        oscillator.start(when);
+        oscillator.stop(when + durationMs / 1000);
+    }
+
+    // Planificador con anticipación: cada 25 ms se programan los golpes de los próximos 100 ms en
+    // el reloj del AudioContext, que no sufre el jitter de los timers
+    startMetronome() {
+        const rpm = this.settings.metronomeRpm;
+        if (!rpm || this.mode !== 'monitor') return;
+        const context = this.unlock();
+        if (!context) return;
+
+        const interval = 60 / rpm;
+        this._nextBeat = context.currentTime + 0.1;
+        this._metronomeTimer = setInterval(() => {
+            while (this._nextBeat < context.currentTime + 0.1) {
+                if (!this.muted) this._scheduleTone(context, 1200, 40, 0.15, this._nextBeat);
+                this._nextBeat += interval;
+            }
+        }, 25);
+    }
+
+    stopMetronome() {
+        if (this._metronomeTimer) clearInterval(this._metronomeTimer);
+        this._metronomeTimer = null;
+    }
+
+    // Compara la cadencia medida (rpm) con la del metrónomo y avisa como mucho cada 5 s
+    _checkCadence(measuredRpm) {
+        const target = this.settings.metronomeRpm;
+        if (!target || this.mode !== 'monitor') {
+            this.cadenceDrift = null;
+            return;
+        }
+        this.cadenceDrift = (measuredRpm - target) / target;
+        const now = Date.now();
+        if (Math.abs(this.cadenceDrift) * 100 > this.settings.cadenceTolerancePct && now - this._lastDriftWarning > 5000) {
+            this._lastDriftWarning = now;
+            this.warn();
+        }
+    }
+}
+
+// ========================================
+// ELEMENTOS DEL DOM
+// ========================================
+
+const startBtn = document.getElementById('startBtn');
+const calibrateBtn = document.getElementById('calibrateBtn');
+const xValue = document.getElementById('xValue');
+const yValue = document.getElementById('yValue');
+const zValue = document.getElementById('zValue');
+const status = document.getElementById('status');
+const chartCanvas = document.getElementById('chart');
+const toggleX = document.getElementById('toggleX');
+const toggleY = document.getElementById('toggleY');
+const toggleZ = document.getElementById('toggleZ');
+const repCountEl = document.getElementById('repCount');
+const repPhaseEl = document.getElementById('repPhase');
+let cadenceValueEl = null;
+
+// Elementos del panel de calibración
+const calibrationPanel = document.getElementById('calibrationPanel');
+const calibrationStatus = document.getElementById('calibrationStatus');
+const progressBar = document.getElementById('progressBar');
+const progressText = document.getElementById('progressText');
+const calibrationResults = document.getElementById('calibrationResults');
+const thresholdUp = document.getElementById('thresholdUp');
+const thresholdDown = document.getElementById('thresholdDown');
+const thresholdAmplitude = document.getElementById('thresholdAmplitude');
+const closeCalibrateBtn = document.getElementById('closeCalibrateBtn');
+const applyCalibrateBtn = document.getElementById('applyCalibrateBtn');
+
+// ========================================
+// VARIABLES GLOBALES
+// ========================================
+
+let isRunning = false;
+let isCalibrating = false;
+let chart = null;
+let intensityGauge = null;
+let qualityGauge = null;
+let dataLogger = new DataLogger(new SessionStore());
+let debugLogger = new DebugLogger();
+const logStartBtn = document.getElementById('logStartBtn');
+const logStopBtn = document.getElementById('logStopBtn');
+
+// Historial de sesiones
+const historyBtn = document.getElementById('historyBtn');
+const historyPanel = document.getElementById('historyPanel');
+const historyListEl = document.getElementById('historyList');
+const historyListActions = document.getElementById('historyListActions');
+const historyDetailEl = document.getElementById('historyDetail');
+const historyNameInput = document.getElementById('historyName');
+const historyNotesInput = document.getElementById('historyNotes');
+const historySummaryEl = document.getElementById('historySummary');
+const historyChartCanvas = document.getElementById('historyChart');
+
+// Panel de progreso
+const progressBtn = document.getElementById('progressBtn');
+const progressPanel = document.getElementById('progressPanel');
+const progressFromInput = document.getElementById('progressFrom');
+const progressToInput = document.getElementById('progressTo');
+const progressExerciseSelect = document.getElementById('progressExercise');
+const progressPeriodSelect = document.getElementById('progressPeriod');
+const progressTotalsEl = document.getElementById('progressTotals');
+const progressVolumeCanvas = document.getElementById('progressVolumeChart');
+const progressTrendCanvas = document.getElementById('progressTrendChart');
+const progressBestSetsEl = document.getElementById('progressBestSets');
+const exportJsonBtn = document.getElementById('exportJsonBtn');
+const exportCsvBtn = document.getElementById('exportCsvBtn');
+const exportRepsCsvBtn = document.getElementById('exportRepsCsvBtn');
+const importFileInput = document.getElementById('importFileInput');
+const importPanel = document.getElementById('importPanel');
+const importSummaryEl = document.getElementById('importSummary');
+const importErrorsEl = document.getElementById('importErrors');
+const retentionSelect = document.getElementById('retentionSelect');
+const setLabelEl = document.getElementById('setLabel');
+const setTimerEl = document.getElementById('setTimer');
+const setListEl = document.getElementById('setList');
+const repListEl = document.getElementById('repList');
+const velocityValueEl = document.getElementById('velocityValue');
+const velocityRepEl = document.getElementById('velocityRep');
+const endSetBtn = document.getElementById('endSetBtn');
+const targetRepsInput = document.getElementById('targetRepsInput');
+const stillnessInput = document.getElementById('stillnessInput');
+const restTargetInput = document.getElementById('restTargetInput');
+const fatigueCutoffInput = document.getElementById('fatigueCutoffInput');
+const fatigueIndicatorEl = document.getElementById('fatigueIndicator');
+const tempoSummaryEl = document.getElementById('tempoSummary');
+const exerciseSelect = document.getElementById('exerciseSelect');
+const editProfileBtn = document.getElementById('editProfileBtn');
+const audioMuteBtn = document.getElementById('audioMuteBtn');
+const cadenceTargetEl = document.getElementById('cadenceTarget');
+const newProfileBtn = document.getElementById('newProfileBtn');
+const profilePanel = document.getElementById('profilePanel');
+const profileNameInput = document.getElementById('profileName');
+const profileTempoInput = document.getElementById('profileTempo');
+const profileFieldInputs = document.querySelectorAll('#profilePanel [data-field]');
+const profileEditorNote = document.getElementById('profileEditorNote');
+const saveProfileBtn = document.getElementById('saveProfileBtn');
+const cancelProfileBtn = document.getElementById('cancelProfileBtn');
+const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+const clearProfileCalibrationBtn = document.getElementById('clearProfileCalibrationBtn');
+const motionSourceSelect = document.getElementById('motionSourceSelect');
+const wsUrlInput = document.getElementById('wsUrlInput');
+const syntheticPanel = document.getElementById('syntheticPanel');
+const syntheticInputs = {
+    reps: document.getElementById('synthReps'),
+    tempo: document.getElementById('synthTempo'),
+    amplitude: document.getElementById('synthAmplitude'),
+    noise: document.getElementById('synthNoise'),
+    drift: document.getElementById('synthDrift'),
+    dropouts: document.getElementById('synthDropouts'),
+    axis: document.getElementById('synthAxis')
+};
+const replaySessionSelect = document.getElementById('replaySessionSelect');
+const replayFileInput = document.getElementById('replayFileInput');
+const replaySpeedSelect = document.getElementById('replaySpeedSelect');
+const replayBtn = document.getElementById('replayBtn');
+const replayDiffEl = document.getElementById('replayDiff');
+const debugToggleBtn = document.getElementById('debugToggleBtn');
+const debugPanel = document.getElementById('debugPanel');
+const debugExportBtn = document.getElementById('debugExportBtn');
+const debugClearBtn = document.getElementById('debugClearBtn');
+const debugSensorInfoEl = document.getElementById('debugSensorInfo');
+
+let axisFilter = new MovingAverageFilter(5);
+let gravityEstimator = new GravityEstimator();
+let accelerationSource = null; // 'linear' | 'gravity-removed'
+let repDetector = new RepDetector();
+let autoCalibrator = new AutoCalibrator();
+let detectedAxis = 'y';
+let exerciseProfiles = new ExerciseProfileStore();
+let workoutSession = new WorkoutSession({ scoreRep: rep => repDetector.scoreRep(rep) });
+let lastPipelineTimestamp = 0;
+let lastSetDisplayUpdate = 0;
+let setSettings = null;
+let editingProfile = null;
+const audioCoach = new AudioCoach();
+
+let monitoringStatusBase = '';
+
+let motionSource = null;
+let motionUnsubscribe = null;
+
+let isReplaying = false;
+let replayTracks = null;
+const importedReplaySessions = [];
+
+let samplingInterval = 33;
+let lastSampleTime = 0;
+
+let cadenceEstimator = new FFTCadenceEstimator({
+    sampleRateHz: Math.round(1000 / samplingInterval),
+    fMinHz: 0.2,
+    fMaxHz: 5.0,
+    updateEvery: 4,
+    smoothingAlpha: 0.35
+});
 
 const dataPoints = {
     labels: [],
@@ -704,6 +1996,89 @@ const dataPoints = {
     z: []
 };
 
+// ========================================
+// EVENTOS DEL MONITOREO
+// ========================================
+// El bucle de monitoreo y los detectores publican eventos en `trackerEvents`; la UI, el logger y
+// cualquier script externo (window.TrainingTracker) son suscriptores. Todos los payloads llevan
+// `timestamp` salvo los de calibración.
+//   rawsample            { mode, timestamp, acceleration, accelerationIncludingGravity, interval,
+//                          rotationRate }  cada evento del sensor antes de diezmar (sólo monitor)
+//   sample               { mode, timestamp, x, y, z, gravity, axis, vertical, smoothed, velocity,
+//                          repCount, phase, quality, cadenceHz }  (mode: monitor|calibration|replay;
+//                          en calibración sólo hasta `smoothed`)
+//   phasechange          { from, to, phase, timestamp }
+//   rep                  { rep, set }  registro completo de la rep (ROM, velocidad, fatiga, tempo)
+//   rom                  { rep, set }  ROM de una rep ya emitida: se cierra en el primer reposo
+//                          tras ella (hasta entonces `rep.romCm` es null)
+//   setstart, setend, target, fatigue   eventos de WorkoutSession ({ type, set, ... })
+//   cadence              { frequencyHz, rawFrequencyHz, power, confidence, confident, method }
+//                          (confident=false: estimación dudosa, no mueve el suavizado)
+//   calibrationprogress  { repCount, targetReps, progress }
+//   calibrationcomplete  { success, thresholds, stats }
+//   start, stop          { mode, source }
+
+const TRACKER_EVENTS = [
+    'rawsample', 'sample', 'phasechange', 'rep', 'rom', 'setstart', 'setend', 'target', 'fatigue',
+    'cadence', 'calibrationprogress', 'calibrationcomplete', 'start', 'stop'
+];
+
+const trackerEvents = new EventEmitter();
+
+repDetector.on('phasechange', (event) => trackerEvents.emit('phasechange', event));
+cadenceEstimator.on('cadence', (event) => trackerEvents.emit('cadence', event));
+autoCalibrator.on('calibrationprogress', (event) => trackerEvents.emit('calibrationprogress', event));
+autoCalibrator.on('calibrationcomplete', (result) => trackerEvents.emit('calibrationcomplete', result));
+
+function emitSetEvents(events) {
+    for (const event of events) {
+        if (event) trackerEvents.emit(event.type, event);
+    }
+}
+
+// Suscriptores propios de la página: UI y logger
+function registerTrackerSubscribers() {
+    trackerEvents.on('sample', renderSample);
+    trackerEvents.on('sample', (event) => {
+        if (event.mode === 'monitor') dataLogger.append(toLogEntry(event));
+    });
+    trackerEvents.on('rawsample', (event) => dataLogger.appendRaw(toRawEntry(event)));
+    trackerEvents.on('phasechange', (event) => updatePhase(event.phase));
+    for (const type of ['setstart', 'rep', 'rom', 'target', 'fatigue', 'setend']) {
+        trackerEvents.on(type, handleSetEvent);
+    }
+    trackerEvents.on('cadence', renderCadence);
+    audioCoach.attach(trackerEvents);
+    trackerEvents.on('cadence', updateCadenceTarget);
+    trackerEvents.on('stop', updateCadenceTarget);
+    trackerEvents.on('calibrationprogress', updateCalibrationProgress);
+    trackerEvents.on('calibrationcomplete', completeCalibration);
+}
+
+// API estable para páginas que embeben el tracker o scripts de usuario:
+//   TrainingTracker.on('rep', ({ rep }) => console.log(rep.meanConcentricVelocity));
+// start() puede necesitar un gesto del usuario para pedir permiso al sensor (iOS).
+window.TrainingTracker = Object.freeze({
+    version: 1,
+    events: Object.freeze([...TRACKER_EVENTS]),
+    on: (type, handler) => trackerEvents.on(type, handler),
+    once: (type, handler) => trackerEvents.once(type, handler),
+    off: (type, handler) => trackerEvents.off(type, handler),
+    start: () => (!isRunning && !isReplaying ? toggleMonitoring() : Promise.resolve()),
+    stop: () => (isRunning && !isCalibrating ? toggleMonitoring() : Promise.resolve()),
+    getState: () => ({
+        running: isRunning && !isCalibrating,
+        calibrating: isCalibrating,
+        replaying: isReplaying,
+        exercise: exerciseProfiles.activeId,
+        axis: detectedAxis,
+        phase: repDetector.getPhaseText(),
+        repCount: repDetector.repCount,
+        reps: repDetector.reps.slice(),
+        sets: workoutSession.sets.slice()
+    })
+});
+
 // ========================================
 // INICIALIZACIÓN DE GRÁFICAS
 // ========================================
@@ -897,379 +2272,1727 @@ function initQualityGauge() {
         labels: ['Calidad']
     };
 
-    qualityGauge = new ApexCharts(gaugeEl, options);
-    qualityGauge.render();
+    qualityGauge = new ApexCharts(gaugeEl, options);
+    qualityGauge.render();
+}
+
+// ========================================
+// FUNCIONES DE ACTUALIZACIÓN
+// ========================================
+
+function updateChart(x, y, z) {
+    const timestamp = dataPoints.labels.length;
+
+    dataPoints.labels.push(timestamp);
+    dataPoints.x.push(x);
+    dataPoints.y.push(y);
+    dataPoints.z.push(z);
+
+    if (dataPoints.labels.length > MAX_DATA_POINTS) {
+        dataPoints.labels.shift();
+        dataPoints.x.shift();
+        dataPoints.y.shift();
+        dataPoints.z.shift();
+    }
+
+    if (chart) {
+        chart.update('none');
+    }
+}
+
+function toggleAxisVisibility(axisIndex, isVisible) {
+    if (chart) {
+        chart.data.datasets[axisIndex].hidden = !isVisible;
+        chart.update();
+    }
+}
+
+function updateValues(x, y, z) {
+    xValue.textContent = x.toFixed(2);
+    yValue.textContent = y.toFixed(2);
+    zValue.textContent = z.toFixed(2);
+}
+
+function updateRepCounter(count) {
+    const prevCount = parseInt(repCountEl.textContent);
+    if (count > prevCount) {
+        repCountEl.classList.add('pulse');
+        setTimeout(() => repCountEl.classList.remove('pulse'), 400);
+    }
+    repCountEl.textContent = count;
+}
+
+function updatePhase(phase) {
+    repPhaseEl.textContent = phase;
+}
+
+function updateIntensityGauge(axisValue) {
+    if (!intensityGauge) return;
+    const absValue = Math.abs(axisValue);
+    const percentage = Math.min(100, (absValue / 3) * 100);
+    intensityGauge.updateSeries([percentage]);
+}
+
+// Velocidad instantánea y media/pico concéntrica de la última rep
+function updateVelocityReadout(velocity, rep) {
+    if (velocityValueEl) velocityValueEl.textContent = velocity.toFixed(2);
+    if (!velocityRepEl) return;
+    velocityRepEl.textContent = rep
+        ? `Media ${rep.meanConcentricVelocity.toFixed(2)} · Pico ${rep.peakConcentricVelocity.toFixed(2)}`
+        : 'Media — · Pico —';
+}
+
+function updateQualityGauge(quality) {
+    if (!qualityGauge) return;
+    qualityGauge.updateSeries([quality]);
+}
+
+// ========================================
+// FUENTE DE MOVIMIENTO
+// ========================================
+
+async function createSelectedMotionSource() {
+    const kind = motionSourceSelect ? motionSourceSelect.value : 'devicemotion';
+    switch (kind) {
+        case 'sensor':
+            return new GenericSensorSource({ frequency: 60 });
+        case 'websocket':
+            return new WebSocketMotionSource((wsUrlInput && wsUrlInput.value.trim()) || DEFAULT_WEBSOCKET_URL);
+        case 'synthetic':
+            return new SyntheticMotionSource(readSyntheticOptions());
+        case 'replay': {
+            let session;
+            try {
+                session = await getReplaySession(replaySessionSelect ? replaySessionSelect.value : '');
+            } catch (error) {
+                showReplayError(error.message);
+                throw error;
+            }
+            return new ReplayMotionSource(session, { speed: parseFloat(replaySpeedSelect ? replaySpeedSelect.value : '1') });
+        }
+        default:
+            return new DeviceMotionSource();
+    }
+}
+
+// Parámetros del generador sintético desde el panel (los vacíos usan el valor por defecto)
+function readSyntheticOptions() {
+    const options = {};
+    for (const [key, input] of Object.entries(syntheticInputs)) {
+        if (!input || input.value === '') continue;
+        options[key] = key === 'axis' ? input.value : parseFloat(input.value);
+    }
+    return options;
+}
+
+// Permite elegir el generador desde la URL: ?source=synthetic&reps=10&tempo=2.5&axis=z...
+function applyMotionSourceUrlParams() {
+    const params = new URLSearchParams(window.location.search);
+    const source = params.get('source');
+    if (!source || !motionSourceSelect) return;
+    if ([...motionSourceSelect.options].some(o => o.value === source)) {
+        motionSourceSelect.value = source;
+    }
+    if (source === 'websocket' && params.get('url')) {
+        wsUrlInput.value = params.get('url');
+    }
+    for (const [key, input] of Object.entries(syntheticInputs)) {
+        if (input && params.has(key)) input.value = params.get(key);
+    }
+    console.log(`Motion source from URL: ${motionSourceSelect.value}`);
+}
+
+// Crea la fuente seleccionada y pide permisos; devuelve null (con el motivo en `status`) si no es utilizable
+async function prepareMotionSource() {
+    let source;
+    try {
+        source = await createSelectedMotionSource();
+    } catch (error) {
+        status.textContent = error.message;
+        status.className = 'status error';
+        return null;
+    }
+
+    if (!source.isSupported()) {
+        status.textContent = 'Tu dispositivo no soporta esta fuente de movimiento';
+        status.className = 'status error';
+        return null;
+    }
+
+    try {
+        if (!(await source.requestPermission())) {
+            status.textContent = 'Permiso denegado';
+            status.className = 'status error';
+            return null;
+        }
+    } catch (error) {
+        console.error('Error requesting permission:', error);
+        status.textContent = 'Error al solicitar permisos: ' + error.message;
+        status.className = 'status error';
+        return null;
+    }
+    return source;
+}
+
+// Conecta un manejador de muestras a la fuente y la arranca (si no lo estaba ya)
+async function attachMotionSource(source, handler, onEnd) {
+    stopMotionSource();
+    motionSource = source;
+    motionUnsubscribe = source.subscribe(handler);
+    source.onend = onEnd;
+    lastSampleTime = 0;
+    accelerationSource = null;
+    updateDebugSensorInfo();
+    await source.start();
+}
+
+// Resumen de la fuente activa y del vector de aceleración usado, visible en el panel de debug
+function updateDebugSensorInfo() {
+    if (!debugSensorInfoEl) return;
+    const labels = {
+        'linear': 'lineal (sensor)',
+        'gravity-removed': 'con gravedad, gravedad eliminada por filtro'
+    };
+    const sourceKind = motionSource ? motionSource.kind : '—';
+    const accel = accelerationSource ? labels[accelerationSource] : '—';
+    debugSensorInfoEl.textContent = `Fuente: ${sourceKind} · Aceleración: ${accel}`;
+}
+
+function stopMotionSource() {
+    if (motionUnsubscribe) motionUnsubscribe();
+    motionUnsubscribe = null;
+    if (motionSource) {
+        motionSource.onend = null;
+        motionSource.stop();
+    }
+    motionSource = null;
+}
+
+// ========================================
+// PERFILES DE EJERCICIO
+// ========================================
+
+function renderExerciseOptions() {
+    if (!exerciseSelect) return;
+    exerciseSelect.innerHTML = exerciseProfiles.list().map(p => {
+        const calibrated = exerciseProfiles.getCalibration(p.id) ? ' ✓' : '';
+        return `<option value="${p.id}">${escapeHtml(p.name)}${calibrated}</option>`;
+    }).join('');
+    exerciseSelect.value = exerciseProfiles.activeId;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// Aplica umbrales y modelo de calidad del perfil activo al detector
+function applyActiveProfile() {
+    const id = exerciseProfiles.activeId;
+    repDetector.setThresholds(exerciseProfiles.getThresholds(id));
+    repDetector.setQualityModel(exerciseProfiles.getQualityModel(id));
+    workoutSession.configure({ tempo: parseTempo(exerciseProfiles.getActive().tempo) });
+    audioCoach.configure(exerciseProfiles.getAudioSettings(id));
+    updateTempoSummary();
+    updateCadenceTarget();
+}
+
+// Cadencia medida; atenuada mientras la estimación sea poco fiable
+function renderCadence(event) {
+    if (!cadenceValueEl) return;
+    cadenceValueEl.textContent = event ? (event.frequencyHz * 60).toFixed(0) : '--';
+    cadenceValueEl.classList.toggle('low-confidence', !!event && !event.confident);
+    cadenceValueEl.title = event ? `Confianza ${Math.round(event.confidence * 100)}%` : '';
+}
+
+// Cadencia objetivo del metrónomo junto a la medida; en rojo si se sale de la tolerancia
+function updateCadenceTarget() {
+    if (!cadenceTargetEl) return;
+    const { metronomeRpm, cadenceTolerancePct } = audioCoach.settings;
+    cadenceTargetEl.classList.toggle('hidden', !metronomeRpm);
+    if (!metronomeRpm) return;
+    const drift = audioCoach.cadenceDrift;
+    cadenceTargetEl.textContent = `objetivo ${metronomeRpm}` + (drift !== null ? ` (${drift >= 0 ? '+' : ''}${(drift * 100).toFixed(0)}%)` : '');
+    cadenceTargetEl.classList.toggle('drift', drift !== null && Math.abs(drift) * 100 > cadenceTolerancePct);
+}
+
+function renderMuteButton() {
+    if (!audioMuteBtn) return;
+    audioMuteBtn.textContent = audioCoach.muted ? '🔇' : '🔊';
+    audioMuteBtn.title = audioCoach.muted ? 'Activar audio' : 'Silenciar audio';
+    audioMuteBtn.setAttribute('aria-pressed', String(audioCoach.muted));
+    audioMuteBtn.classList.toggle('active', audioCoach.muted);
+}
+
+function getProfileField(profile, path) {
+    const [group, key] = path.split('.');
+    return profile[group] ? profile[group][key] : undefined;
+}
+
+function openProfileEditor(isNew) {
+    const active = exerciseProfiles.getActive();
+    editingProfile = {
+        isNew,
+        base: active,
+        profile: {
+            ...active,
+            name: isNew ? 'Nuevo ejercicio' : active.name,
+            quality: { ...DEFAULT_QUALITY_MODEL, ...active.quality },
+            audio: { ...DEFAULT_AUDIO_SETTINGS, ...active.audio }
+        }
+    };
+
+    profileNameInput.value = editingProfile.profile.name;
+    if (profileTempoInput) profileTempoInput.value = editingProfile.profile.tempo || '';
+    for (const input of profileFieldInputs) {
+        const value = getProfileField(editingProfile.profile, input.dataset.field);
+        if (input.type === 'checkbox') input.checked = Boolean(value);
+        else input.value = value ?? '';
+    }
+
+    const isCustom = !isNew && !active.builtin;
+    deleteProfileBtn.classList.toggle('hidden', !isCustom);
+    clearProfileCalibrationBtn.classList.toggle('hidden', isNew || !exerciseProfiles.getCalibration(active.id));
+    profileEditorNote.textContent = !isNew && active.builtin
+        ? 'Los perfiles incluidos no se modifican: al guardar se creará una copia personalizada.'
+        : '';
+    profilePanel.classList.remove('hidden');
+}
+
+function closeProfileEditor() {
+    profilePanel.classList.add('hidden');
+    editingProfile = null;
+}
+
+function saveProfileFromEditor() {
+    if (!editingProfile) return;
+    const { isNew, base, profile } = editingProfile;
+
+    const tempo = profileTempoInput ? profileTempoInput.value.trim() : (profile.tempo || '');
+    if (tempo && !parseTempo(tempo)) {
+        profileEditorNote.textContent = 'Tempo no válido: usa cuatro cifras como 3-1-1-0 (X = explosivo).';
+        return;
+    }
+
+    const updated = {
+        id: isNew || base.builtin ? null : base.id,
+        name: profileNameInput.value.trim() || profile.name,
+        thresholds: { ...profile.thresholds },
+        quality: { ...profile.quality },
+        audio: { ...profile.audio },
+        tempo: tempo || null
+    };
+    if (!isNew && base.builtin && updated.name === base.name) {
+        updated.name = `${base.name} (personalizado)`;
+    }
+    for (const input of profileFieldInputs) {
+        const [group, key] = input.dataset.field.split('.');
+        if (input.type === 'checkbox') {
+            updated[group][key] = input.checked;
+            continue;
+        }
+        const value = parseFloat(input.value);
+        if (isNaN(value)) {
+            // Campos opcionales (data-nullable): vacío = desactivado
+            if (input.hasAttribute('data-nullable')) updated[group][key] = null;
+            continue;
+        }
+        updated[group][key] = value;
+    }
+
+    const saved = exerciseProfiles.saveCustom(updated);
+    exerciseProfiles.setActive(saved.id);
+    renderExerciseOptions();
+    applyActiveProfile();
+    closeProfileEditor();
+    status.textContent = `Perfil guardado: ${saved.name}`;
+    status.className = 'status success';
+}
+
+function deleteActiveProfile() {
+    const active = exerciseProfiles.getActive();
+    if (!active || active.builtin) return;
+    if (!confirm(`¿Eliminar el perfil "${active.name}"?`)) return;
+    exerciseProfiles.deleteCustom(active.id);
+    renderExerciseOptions();
+    applyActiveProfile();
+    closeProfileEditor();
+    status.textContent = 'Perfil eliminado';
+    status.className = 'status';
+}
+
+// ========================================
+// SERIES Y DESCANSOS
+// ========================================
+
+function loadSetSettings() {
+    try {
+        return { ...DEFAULT_SET_SETTINGS, ...JSON.parse(localStorage.getItem('tt_setSettings') || '{}') };
+    } catch {
+        return { ...DEFAULT_SET_SETTINGS };
+    }
+}
+
+function readSetSettings() {
+    const parse = (input) => {
+        const value = parseFloat(input.value);
+        return isNaN(value) || value <= 0 ? null : value;
+    };
+    const settings = {
+        targetReps: parse(targetRepsInput),
+        stillnessSec: parse(stillnessInput) || 8,
+        restTargetSec: parse(restTargetInput),
+        fatigueCutoffPct: fatigueCutoffInput ? parse(fatigueCutoffInput) : DEFAULT_SET_SETTINGS.fatigueCutoffPct
+    };
+    localStorage.setItem('tt_setSettings', JSON.stringify(settings));
+    return settings;
+}
+
+function applySetSettings() {
+    setSettings = readSetSettings();
+    workoutSession.configure({
+        targetReps: setSettings.targetReps ? Math.round(setSettings.targetReps) : null,
+        stillnessMs: setSettings.stillnessSec * 1000,
+        fatigueCutoff: setSettings.fatigueCutoffPct ? setSettings.fatigueCutoffPct / 100 : null
+    });
+}
+
+function resetWorkout() {
+    applySetSettings();
+    workoutSession.reset();
+    lastPipelineTimestamp = 0;
+    renderSetList();
+    renderRepList();
+    updateTempoSummary();
+    updateVelocityReadout(0, null);
+    updateSetDisplay(0, true);
+}
+
+// Reps a mostrar en el contador: las de la serie en curso, o las de la última durante el descanso
+function getDisplayedRepCount() {
+    if (workoutSession.state === 'RESTING' && workoutSession.sets.length) {
+        return workoutSession.sets[workoutSession.sets.length - 1].reps;
+    }
+    return workoutSession.getCurrentReps();
+}
+
+function handleSetEvent(event) {
+    switch (event.type) {
+        case 'setstart':
+            updateRepCounter(0);
+            updateFatigueIndicator(event.set);
+            console.log(`Set ${event.set.index} started`);
+            break;
+        case 'rep':
+            renderRepList();
+            updateFatigueIndicator(event.set);
+            updateTempoSummary();
+            break;
+        case 'rom':
+            renderRepList();
+            break;
+        case 'fatigue':
+            console.log(`Fatigue cutoff crossed in set ${event.set.index}: ${(event.loss * 100).toFixed(0)}% loss`);
+            status.textContent = `⚠️ Pérdida del ${(event.loss * 100).toFixed(0)}% en la serie ${event.set.index}: considera terminarla`;
+            status.className = 'status error';
+            if (navigator.vibrate) navigator.vibrate([200, 100, 200]);
+            break;
+        case 'target':
+            status.textContent = `🎯 Objetivo de ${event.set.targetReps} reps alcanzado`;
+            status.className = 'status success';
+            break;
+        case 'setend':
+            console.log(`Set ${event.set.index} ended (${event.set.endReason}): ${event.set.reps} reps`);
+            status.textContent = `Serie ${event.set.index} terminada: ${event.set.reps} reps. Descansando...`;
+            status.className = 'status success';
+            renderSetList();
+            break;
+    }
+}
+
+// Pérdida de rendimiento de la última rep frente a las primeras de la serie
+function updateFatigueIndicator(set) {
+    if (!fatigueIndicatorEl) return;
+    if (!set || set.fatigueLoss === null) {
+        fatigueIndicatorEl.classList.add('hidden');
+        fatigueIndicatorEl.classList.remove('over');
+        return;
+    }
+    const lossPct = Math.max(0, set.fatigueLoss * 100);
+    fatigueIndicatorEl.textContent = `Pérdida ${lossPct.toFixed(0)}%`;
+    fatigueIndicatorEl.classList.remove('hidden');
+    fatigueIndicatorEl.classList.toggle('over', set.fatigueAlertRep !== null);
+}
+
+// Adherencia al tempo prescrito en lo que va de sesión
+function updateTempoSummary() {
+    if (!tempoSummaryEl) return;
+    const tempo = exerciseProfiles.getActive().tempo;
+    const adherence = workoutSession.getTempoAdherence();
+    if (!tempo) {
+        tempoSummaryEl.classList.add('hidden');
+        return;
+    }
+    tempoSummaryEl.textContent = `Tempo ${tempo} · adherencia de la sesión ${adherence !== null ? adherence.toFixed(0) + '%' : '—'}`;
+    tempoSummaryEl.classList.remove('hidden');
+}
+
+function formatClock(ms) {
+    const totalSec = Math.max(0, Math.floor(ms / 1000));
+    return `${Math.floor(totalSec / 60)}:${String(totalSec % 60).padStart(2, '0')}`;
+}
+
+function updateSetDisplay(now, force = false) {
+    if (!setLabelEl) return;
+    if (!force && now - lastSetDisplayUpdate < 250) return;
+    lastSetDisplayUpdate = now;
+
+    setTimerEl.classList.remove('over');
+    switch (workoutSession.state) {
+        case 'ACTIVE': {
+            const set = workoutSession.current;
+            setLabelEl.textContent = `Serie ${set.index}` + (set.targetReps ? ` · objetivo ${set.targetReps}` : '');
+            setTimerEl.textContent = formatClock(now - set.startTime);
+            break;
+        }
+        case 'RESTING': {
+            const rest = workoutSession.getRestElapsed(now);
+            setLabelEl.textContent = 'Descanso';
+            if (setSettings.restTargetSec) {
+                const target = setSettings.restTargetSec * 1000;
+                setTimerEl.textContent = `${formatClock(rest)} / ${formatClock(target)}`;
+                setTimerEl.classList.toggle('over', rest >= target);
+            } else {
+                setTimerEl.textContent = formatClock(rest);
+            }
+            break;
+        }
+        default:
+            setLabelEl.textContent = workoutSession.sets.length ? 'Serie' : 'Esperando primera rep';
+            setTimerEl.textContent = '--';
+    }
+}
+
+function renderSetList() {
+    if (!setListEl) return;
+    const sets = workoutSession.sets;
+    if (sets.length === 0) {
+        setListEl.innerHTML = '';
+        return;
+    }
+    const rows = sets.map(set => `
+        <tr>
+            <td>${set.index}</td>
+            <td>${set.reps}${set.targetReps ? ` / ${set.targetReps}` : ''}</td>
+            <td>${formatClock(set.durationMs)}</td>
+            <td>${set.restMs !== null ? formatClock(set.restMs) : '—'}</td>
+            <td>${set.avgRomCm ? set.avgRomCm.toFixed(0) + ' cm' : '—'}${set.partialReps ? ` (${set.partialReps} parc.)` : ''}</td>
+            <td>${set.tempoAdherence !== null ? set.tempoAdherence.toFixed(0) + '%' : '—'}</td>
+            <td>${set.maxFatigueLoss !== null ? Math.max(0, set.maxFatigueLoss * 100).toFixed(0) + '%' : '—'}</td>
+            <td>${set.avgQuality !== null ? set.avgQuality.toFixed(0) + '%' : '—'}</td>
+        </tr>`).join('');
+    setListEl.innerHTML = `
+        <table class="set-table">
+            <thead><tr><th>Serie</th><th>Reps</th><th>Duración</th><th>Descanso</th><th>ROM</th><th>Tempo</th><th>Pérdida máx.</th><th>Calidad</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+// Tabla con las últimas reps registradas por el detector (más reciente primero)
+function renderRepList() {
+    if (!repListEl) return;
+    const reps = repDetector.reps.slice(-8).reverse();
+    if (reps.length === 0) {
+        repListEl.innerHTML = '';
+        return;
+    }
+    const seconds = ms => (ms / 1000).toFixed(1);
+    const signed = value => value === null ? '—' : `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+    const tempoCell = tempo => tempo
+        ? `${['eccentric', 'bottomPause', 'concentric', 'topPause'].map(k => signed(tempo.deviation[k])).join(' / ')} (${tempo.adherence.toFixed(0)}%)`
+        : '—';
+    const rows = reps.map(rep => `
+        <tr${rep.partial ? ' class="partial-rep"' : ''}>
+            <td>${rep.index}</td>
+            <td>${rep.set || '—'}</td>
+            <td>${seconds(rep.duration)} s</td>
+            <td>${seconds(rep.phaseDurations.PULLING_UP)} / ${seconds(rep.phaseDurations.AT_TOP)} / ${seconds(rep.phaseDurations.LOWERING)}</td>
+            <td>${rep.amplitude.toFixed(2)}</td>
+            <td>${rep.romCm === null ? '…' : `${rep.romCm.toFixed(0)} cm`}${rep.romConsistency ? ` (${(rep.romConsistency * 100).toFixed(0)}%)` : ''}${rep.partial ? ' ⚠' : ''}</td>
+            <td>${rep.meanConcentricVelocity.toFixed(2)} / ${rep.peakConcentricVelocity.toFixed(2)}</td>
+            <td>${rep.fatigue ? Math.max(0, rep.fatigue.loss * 100).toFixed(0) + '%' : '—'}</td>
+            <td>${tempoCell(rep.tempo)}</td>
+            <td>${rep.quality.toFixed(0)}%</td>
+        </tr>`).join('');
+    repListEl.innerHTML = `
+        <table class="set-table">
+            <thead><tr><th>Rep</th><th>Serie</th><th>Duración</th><th>Sub / Arr / Baj</th><th>Amplitud</th><th>ROM</th><th>Vel. media / pico</th><th>Pérdida</th><th>Tempo Δ (s)</th><th>Calidad</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+// Cierra el ROM de las reps que aún esperaban su reposo final (al detener la fuente)
+function flushRangeOfMotion() {
+    emitSetEvents(workoutSession.updateRangeOfMotion(repDetector.flushRangeOfMotion()));
+}
+
+function endCurrentSet() {
+    const event = workoutSession.endSet(lastPipelineTimestamp, 'manual');
+    if (!event) return;
+    emitSetEvents([event]);
+    updateSetDisplay(lastPipelineTimestamp, true);
+    updateRepCounter(getDisplayedRepCount());
+}
+
+// ========================================
+// CALIBRACIÓN
+// ========================================
+
+function showCalibrationPanel() {
+    calibrationPanel.classList.remove('hidden');
+}
+
+function hideCalibrationPanel() {
+    calibrationPanel.classList.add('hidden');
+}
+
+function updateCalibrationProgress({ repCount, targetReps, progress }) {
+    progressBar.style.width = progress + '%';
+    progressText.textContent = `Repetición ${repCount}/${targetReps}`;
+}
+
+async function startCalibration() {
+    if (isReplaying) {
+        status.textContent = 'Detén la reproducción antes de calibrar';
+        status.className = 'status error';
+        return;
+    }
+    if (isRunning) return;
+
+    const source = await prepareMotionSource();
+    if (!source) return;
+
+    status.textContent = 'Detectando orientación...';
+    status.className = 'status';
+    try {
+        detectedAxis = await detectVerticalAxis(source, status);
+    } catch (error) {
+        console.error('Motion source error:', error);
+        source.stop();
+        status.textContent = error.message;
+        status.className = 'status error';
+        return;
+    }
+
+    showCalibrationPanel();
+    calibrationStatus.textContent = `${exerciseProfiles.getActive().name}: realiza 5 repeticiones completas y controladas. La calibración comenzará automáticamente.`;
+    progressText.textContent = 'Esperando inicio...';
+    progressBar.style.width = '0%';
+    calibrationResults.classList.add('hidden');
+    applyCalibrateBtn.classList.add('hidden');
+
+    autoCalibrator.startCalibration(exerciseProfiles.getActive().thresholds);
+    axisFilter.reset();
+    gravityEstimator.reset();
+    cadenceEstimator.reset();
+    renderCadence(null);
+    resetChartData();
+
+    isCalibrating = true;
+    isRunning = true;
+    startBtn.textContent = 'Detener Calibración';
+    startBtn.classList.add('active');
+
+    console.log(`Starting calibration (${source.kind})...`);
+    trackerEvents.emit('start', { mode: 'calibration', source: source.kind });
+    await attachMotionSource(source, handleMotionCalibration, () => {
+        if (isCalibrating) cancelCalibration('La fuente de movimiento terminó');
+    });
+}
+
+function handleMotionCalibration(sample) {
+    if (!isCalibrating) return;
+
+    const now = sample.timestamp;
+    if (now - lastSampleTime < samplingInterval) return;
+    lastSampleTime = now;
+
+    const motion = resolveVerticalMotion(sample);
+    if (!motion) return;
+
+    const smoothed = axisFilter.addValue(motion.vertical);
+    trackerEvents.emit('sample', {
+        mode: 'calibration',
+        timestamp: now,
+        x: motion.x, y: motion.y, z: motion.z,
+        gravity: motion.gravity,
+        axis: detectedAxis,
+        vertical: motion.vertical,
+        smoothed
+    });
+
+    // El progreso y el final llegan como eventos calibrationprogress / calibrationcomplete
+    autoCalibrator.processValue(smoothed, now);
+}
+
+function completeCalibration(result) {
+    isCalibrating = false;
+    isRunning = false;
+    stopMotionSource();
+    trackerEvents.emit('stop', { mode: 'calibration', source: null });
+
+    exerciseProfiles.setCalibration(exerciseProfiles.activeId, result.thresholds);
+    applyActiveProfile();
+    renderExerciseOptions();
+
+    calibrationStatus.textContent = '✓ ¡Calibración completada!';
+    progressBar.style.width = '100%';
+    progressText.textContent = `${result.stats.repsDetected} repeticiones analizadas`;
+
+    thresholdUp.textContent = result.thresholds.upwardAcceleration.toFixed(2) + ' m/s²';
+    thresholdDown.textContent = result.thresholds.downwardAcceleration.toFixed(2) + ' m/s²';
+    thresholdAmplitude.textContent = result.thresholds.minAmplitude.toFixed(2) + ' m/s²';
+
+    calibrationResults.classList.remove('hidden');
+    applyCalibrateBtn.classList.remove('hidden');
+
+    startBtn.textContent = 'Iniciar';
+    startBtn.classList.remove('active');
+}
+
+function cancelCalibration(message = 'Calibración cancelada') {
+    const wasCalibrating = isCalibrating;
+    isCalibrating = false;
+    isRunning = false;
+    autoCalibrator.stopCalibration();
+    stopMotionSource();
+    if (wasCalibrating) trackerEvents.emit('stop', { mode: 'calibration', source: null });
+    hideCalibrationPanel();
+    startBtn.textContent = 'Iniciar';
+    startBtn.classList.remove('active');
+    status.textContent = message;
+    status.className = 'status';
+
+    renderCadence(null);
 }
 
 // ========================================
-// FUNCIONES DE ACTUALIZACIÓN
+// DETECCIÓN Y MONITOREO
 // ========================================
 
-function updateChart(x, y, z) {
-    const timestamp = dataPoints.labels.length;
-
-    dataPoints.labels.push(timestamp);
-    dataPoints.x.push(x);
-    dataPoints.y.push(y);
-    dataPoints.z.push(z);
+// Aceleración lineal de la muestra y su componente vertical. Si la fuente sólo da el vector con
+// gravedad, se le resta la gravedad estimada (paso alto complementario) en lugar de usarlo tal
+// cual, que dejaba un desplazamiento de ~9.8 m/s² en la señal del detector. La vertical es la
+// proyección sobre la gravedad estimada; si la fuente no da gravedad se usa el eje detectado.
+function resolveVerticalMotion(sample, axis = detectedAxis) {
+    const gravity = sample.accelerationIncludingGravity;
+    if (gravity) {
+        const wasReady = gravityEstimator.isReady();
+        gravityEstimator.update(gravity, sample.timestamp);
+        if (!wasReady && gravityEstimator.isReady()) {
+            const d = gravityEstimator.getDirection();
+            console.log(`Gravity direction locked: (${d.x.toFixed(2)}, ${d.y.toFixed(2)}, ${d.z.toFixed(2)})`);
+        }
+    }
 
-    if (dataPoints.labels.length > MAX_DATA_POINTS) {
-        dataPoints.labels.shift();
-        dataPoints.x.shift();
-        dataPoints.y.shift();
-        dataPoints.z.shift();
+    let acc = sample.acceleration;
+    let source = 'linear';
+    if (!acc) {
+        if (!gravity) return null;
+        const g = gravityEstimator.gravity;
+        acc = { x: gravity.x - g.x, y: gravity.y - g.y, z: gravity.z - g.z };
+        source = 'gravity-removed';
     }
+    setAccelerationSource(source);
 
-    if (chart) {
-        chart.update('none');
+    const vertical = gravityEstimator.isReady()
+        ? gravityEstimator.project(acc)
+        : (acc[axis] ?? acc.y);
+
+    return { x: acc.x, y: acc.y, z: acc.z, gravity, vertical };
+}
+
+function setAccelerationSource(source) {
+    if (accelerationSource === source) return;
+    if (accelerationSource) console.warn(`Acceleration source changed: ${accelerationSource} -> ${source}`);
+    else console.log(`Acceleration source: ${source}`);
+    accelerationSource = source;
+    updateDebugSensorInfo();
+}
+
+// Pasa una muestra por filtro, cadencia, detector y series, y publica los eventos resultantes.
+// Los eventos de serie se emiten antes que 'sample' para que la UI pinte el estado ya actualizado.
+function processMotionSample(motion, now, mode) {
+    const smoothed = axisFilter.addValue(motion.vertical);
+
+    try {
+        cadenceEstimator.addSample(smoothed, now);
+    } catch (error) {
+        console.error('Error en cadenceEstimator:', error);
     }
+
+    const repResult = repDetector.processAcceleration(smoothed, now);
+    lastPipelineTimestamp = now;
+
+    const setEvents = workoutSession.process({
+        value: smoothed,
+        timestamp: now,
+        repCount: repResult.repCount,
+        quality: repResult.quality || null,
+        repStartTime: repDetector.currentRepStartTime,
+        rep: repResult.rep,
+        romReps: repResult.romReps
+    });
+    emitSetEvents(setEvents);
+
+    const event = {
+        mode,
+        timestamp: now,
+        x: motion.x, y: motion.y, z: motion.z,
+        gravity: motion.gravity,
+        axis: detectedAxis,
+        vertical: motion.vertical,
+        smoothed,
+        velocity: repResult.velocity,
+        repCount: repResult.repCount,
+        phase: repDetector.getPhaseText(),
+        quality: repResult.quality || null,
+        cadenceHz: cadenceEstimator.lastConfident ? cadenceEstimator.lastFrequencyHz : null
+    };
+    trackerEvents.emit('sample', event);
+    return event;
 }
 
-function toggleAxisVisibility(axisIndex, isVisible) {
-    if (chart) {
-        chart.data.datasets[axisIndex].hidden = !isVisible;
-        chart.update();
+// Suscriptor de 'sample' que actualiza valores, gráfica, contador y gauges
+function renderSample(event) {
+    updateValues(event.x, event.y, event.z);
+    updateChart(event.x, event.y, event.z);
+    if (event.mode === 'calibration') return;
+
+    updateSetDisplay(event.timestamp);
+    updateRepCounter(getDisplayedRepCount());
+    updateIntensityGauge(event.smoothed);
+    updateVelocityReadout(event.velocity, repDetector.lastRep);
+
+    if (event.quality > 0) {
+        updateQualityGauge(event.quality);
     }
 }
 
-function updateValues(x, y, z) {
-    xValue.textContent = x.toFixed(2);
-    yValue.textContent = y.toFixed(2);
-    zValue.textContent = z.toFixed(2);
+// Entrada de la captura cruda: vectores del sensor aplanados (columnas del formato binario)
+function toRawEntry(event) {
+    const { acceleration: a, accelerationIncludingGravity: g, rotationRate: r } = event;
+    return {
+        timestamp: event.timestamp,
+        interval: event.interval,
+        ax: a ? a.x : null, ay: a ? a.y : null, az: a ? a.z : null,
+        agx: g ? g.x : null, agy: g ? g.y : null, agz: g ? g.z : null,
+        rotAlpha: r ? r.alpha : null, rotBeta: r ? r.beta : null, rotGamma: r ? r.gamma : null
+    };
 }
 
-function updateRepCounter(count) {
-    const prevCount = parseInt(repCountEl.textContent);
-    if (count > prevCount) {
-        repCountEl.classList.add('pulse');
-        setTimeout(() => repCountEl.classList.remove('pulse'), 400);
-    }
-    repCountEl.textContent = count;
+// Los valores derivados (proyección, filtro, velocidad) se registran con 4 decimales, muy por
+// debajo del ruido del sensor: con esa escala fija recording.js los guarda como deltas enteros
+// en lugar de float64 completos. Las lecturas del sensor, que la reproducción vuelve a
+// procesar, se guardan tal cual. `+ 0` evita -0, que obligaría a guardar la columna en float64.
+function roundDerived(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? Math.round(value * 1e4) / 1e4 + 0 : value;
 }
 
-function updatePhase(phase) {
-    repPhaseEl.textContent = phase;
+// Entrada del registro (gx/gy/gz permiten recalcular la proyección al reproducir)
+function toLogEntry(event) {
+    const { gravity } = event;
+    return {
+        timestamp: event.timestamp,
+        x: event.x, y: event.y, z: event.z,
+        gx: gravity ? gravity.x : null,
+        gy: gravity ? gravity.y : null,
+        gz: gravity ? gravity.z : null,
+        axis: event.axis,
+        vertical: roundDerived(event.vertical),
+        smoothed: roundDerived(event.smoothed),
+        cadenceHz: event.cadenceHz,
+        repCount: event.repCount,
+        phase: event.phase,
+        quality: event.quality,
+        velocity: roundDerived(event.velocity)
+    };
 }
 
-function updateIntensityGauge(axisValue) {
-    if (!intensityGauge) return;
-    const absValue = Math.abs(axisValue);
-    const percentage = Math.min(100, (absValue / 3) * 100);
-    intensityGauge.updateSeries([percentage]);
+function handleMotion(sample) {
+    if (!isRunning || isCalibrating) return;
+
+    // La captura cruda recibe todos los eventos; el selector de frecuencia sólo diezma lo que
+    // llega a la UI y a los detectores
+    trackerEvents.emit('rawsample', { mode: 'monitor', ...sample });
+
+    const now = sample.timestamp;
+    if (now - lastSampleTime < samplingInterval) return;
+    lastSampleTime = now;
+
+    const motion = resolveVerticalMotion(sample);
+    if (!motion) return;
+
+    processMotionSample(motion, now, 'monitor');
 }
 
-function updateQualityGauge(quality) {
-    if (!qualityGauge) return;
-    qualityGauge.updateSeries([quality]);
+// Elige el eje con mayor componente de gravedad; arranca la fuente si hace falta
+async function detectVerticalAxis(source, statusElement) {
+    if (source.axisHint) {
+        console.log(`Vertical axis from source: ${source.axisHint.toUpperCase()}`);
+        return source.axisHint;
+    }
+
+    await source.start();
+
+    return new Promise((resolve) => {
+        let samplesCollected = 0;
+        const samples = { x: [], y: [], z: [] };
+        const SAMPLES_NEEDED = 5;
+        let timeoutId = null;
+        let unsubscribe = null;
+
+        const handler = (sample) => {
+            const acc = sample.accelerationIncludingGravity;
+            if (!acc) return;
+
+            samples.x.push(Math.abs(acc.x));
+            samples.y.push(Math.abs(acc.y));
+            samples.z.push(Math.abs(acc.z));
+            samplesCollected++;
+
+            statusElement.textContent = `Detectando... (${samplesCollected}/${SAMPLES_NEEDED})`;
+
+            if (samplesCollected >= SAMPLES_NEEDED) {
+                const avgX = samples.x.reduce((a, b) => a + b, 0) / SAMPLES_NEEDED;
+                const avgY = samples.y.reduce((a, b) => a + b, 0) / SAMPLES_NEEDED;
+                const avgZ = samples.z.reduce((a, b) => a + b, 0) / SAMPLES_NEEDED;
+
+                let verticalAxis;
+                if (avgX >= avgY && avgX >= avgZ) verticalAxis = 'x';
+                else if (avgY >= avgX && avgY >= avgZ) verticalAxis = 'y';
+                else verticalAxis = 'z';
+
+                console.log(`Vertical axis detected: ${verticalAxis.toUpperCase()} (X:${avgX.toFixed(2)}, Y:${avgY.toFixed(2)}, Z:${avgZ.toFixed(2)})`);
+
+                clearTimeout(timeoutId);
+                unsubscribe();
+                resolve(verticalAxis);
+            }
+        };
+
+        unsubscribe = source.subscribe(handler);
+
+        timeoutId = setTimeout(() => {
+            unsubscribe();
+            console.log('Timeout - using Y as default');
+            resolve('y');
+        }, 2000);
+    });
+}
+
+async function toggleMonitoring() {
+    if (isReplaying) {
+        status.textContent = 'Detén la reproducción antes de monitorear';
+        status.className = 'status error';
+        return;
+    }
+
+    if (isCalibrating) {
+        cancelCalibration();
+        return;
+    }
+
+    if (!isRunning) {
+        const source = await prepareMotionSource();
+        if (!source) return;
+
+        status.textContent = 'Detectando orientación...';
+        status.className = 'status';
+        try {
+            detectedAxis = await detectVerticalAxis(source, status);
+        } catch (error) {
+            console.error('Motion source error:', error);
+            source.stop();
+            status.textContent = error.message;
+            status.className = 'status error';
+            return;
+        }
+
+        status.textContent = `Eje detectado: ${detectedAxis.toUpperCase()} ✓`;
+        status.className = 'status success';
+
+        await new Promise(resolve => setTimeout(resolve, 1500));
+
+        axisFilter.reset();
+        gravityEstimator.reset();
+        repDetector.reset();
+        cadenceEstimator.reset();
+        renderCadence(null);
+
+        applyActiveProfile();
+        const profileName = exerciseProfiles.getActive().name;
+        if (exerciseProfiles.getCalibration(exerciseProfiles.activeId)) {
+            monitoringStatusBase = `Monitoreando ${profileName} con calibración (Eje ${detectedAxis.toUpperCase()})`;
+        } else {
+            monitoringStatusBase = `Monitoreando ${profileName} (Eje ${detectedAxis.toUpperCase()})`;
+        }
+        status.textContent = monitoringStatusBase;
+
+        resetWorkout();
+        updateRepCounter(0);
+        updatePhase('Listo');
+        updateQualityGauge(0);
+
+        isRunning = true;
+        startBtn.textContent = 'Detener';
+        startBtn.classList.add('active');
+        status.className = 'status success';
+
+        trackerEvents.emit('start', { mode: 'monitor', source: source.kind });
+        try {
+            await attachMotionSource(source, handleMotion, () => {
+                if (isRunning && !isCalibrating) toggleMonitoring();
+            });
+        } catch (error) {
+            // La fuente no arrancó (p. ej. SecurityError del sensor o WebSocket rechazado): se
+            // deshace el inicio y se cierra con su 'stop', salvo que su fin ya lo haya detenido
+            console.error('Motion source error:', error);
+            if (isRunning) {
+                stopMotionSource();
+                isRunning = false;
+                monitoringStatusBase = '';
+                startBtn.textContent = 'Iniciar';
+                startBtn.classList.remove('active');
+                renderCadence(null);
+                trackerEvents.emit('stop', { mode: 'monitor', source: source.kind });
+            }
+            status.textContent = 'No se pudo iniciar la fuente de movimiento: ' + error.message;
+            status.className = 'status error';
+        }
+    } else {
+        flushRangeOfMotion();
+        emitSetEvents([workoutSession.endSet(lastPipelineTimestamp, 'stop')]);
+
+        isRunning = false;
+        monitoringStatusBase = '';
+        startBtn.textContent = 'Iniciar';
+        startBtn.classList.remove('active');
+        status.textContent = 'Detenido';
+        status.className = 'status';
+
+        renderCadence(null);
+
+        const kind = motionSource ? motionSource.kind : null;
+        stopMotionSource();
+        trackerEvents.emit('stop', { mode: 'monitor', source: kind });
+    }
 }
 
 // ========================================
-// CALIBRACIÓN
+// REPRODUCCIÓN DE SESIONES
 // ========================================
 
-function showCalibrationPanel() {
-    calibrationPanel.classList.remove('hidden');
+function resetChartData() {
+    dataPoints.labels.length = 0;
+    dataPoints.x.length = 0;
+    dataPoints.y.length = 0;
+    dataPoints.z.length = 0;
+    if (chart) chart.update('none');
 }
 
-function hideCalibrationPanel() {
-    calibrationPanel.classList.add('hidden');
+async function refreshReplaySessions() {
+    if (!replaySessionSelect) return;
+    const sessions = await dataLogger.getSessions();
+    const options = sessions.map(s =>
+        `<option value="db:${s.id}">${s.name ? escapeHtml(s.name) + ' · ' : ''}${new Date(s.startedAt).toLocaleString()} (${s.length} muestras)</option>`
+    );
+    importedReplaySessions.forEach((s, i) => {
+        options.push(`<option value="file:${i}">Archivo: ${s.startedAt ? new Date(s.startedAt).toLocaleString() : `sesión ${i + 1}`} (${s.data.length} muestras)</option>`);
+    });
+    replaySessionSelect.innerHTML = options.length
+        ? options.join('')
+        : '<option value="">Sin sesiones registradas</option>';
 }
 
-function updateCalibrationProgress() {
-    const progress = autoCalibrator.getProgress();
-    progressBar.style.width = progress + '%';
-    const repsDetected = autoCalibrator.repCount;
-    const repsTarget = autoCalibrator.targetReps;
-    progressText.textContent = `Repetición ${repsDetected}/${repsTarget}`;
+async function loadReplayFile(file) {
+    try {
+        const parsed = JSON.parse(await file.text());
+        const sessions = (Array.isArray(parsed) ? parsed : [parsed])
+            .filter(s => s && Array.isArray(s.data) && s.data.length > 0);
+        if (sessions.length === 0) throw new Error('El archivo no contiene sesiones con datos');
+        importedReplaySessions.push(...sessions);
+        await refreshReplaySessions();
+        replaySessionSelect.value = `file:${importedReplaySessions.length - sessions.length}`;
+        status.textContent = `${sessions.length} sesión(es) cargadas para reproducir`;
+        status.className = 'status success';
+    } catch (e) {
+        console.error('Replay file error:', e);
+        status.textContent = 'No se pudo leer el archivo: ' + e.message;
+        status.className = 'status error';
+    }
 }
 
-async function startCalibration() {
-    if (!window.DeviceMotionEvent) {
-        status.textContent = 'Tu dispositivo no soporta el acelerómetro';
+// Límite de errores listados en el informe de importación
+const IMPORT_ERRORS_SHOWN = 100;
+
+async function importSessionsFile(file) {
+    let report;
+    try {
+        report = await dataLogger.importFile(file);
+    } catch (e) {
+        console.error('Import error:', e);
+        status.textContent = 'No se pudo importar el archivo: ' + e.message;
         status.className = 'status error';
         return;
     }
 
-    const hasPermission = await requestPermission();
-    if (!hasPermission) return;
+    status.textContent = `${report.imported} sesión(es) importadas` +
+        (report.duplicates ? `, ${report.duplicates} ya existían` : '') +
+        (report.errors.length ? `, ${report.errors.length} error(es)` : '');
+    status.className = report.imported || !report.errors.length ? 'status success' : 'status error';
+    await refreshReplaySessions();
+    if (report.errors.length) showImportReport(file.name, report);
+}
 
-    status.textContent = 'Detectando orientación...';
-    status.className = 'status';
-    detectedAxis = await detectVerticalAxis(status);
+function showImportReport(fileName, report) {
+    importSummaryEl.innerHTML = `
+        <div><span class="replay-diff-label">Importadas</span><span class="replay-diff-value">${report.imported}</span></div>
+        <div><span class="replay-diff-label">Duplicadas</span><span class="replay-diff-value">${report.duplicates}</span></div>
+        <div><span class="replay-diff-label">Errores</span><span class="replay-diff-value">${report.errors.length}</span></div>`;
+    const shown = report.errors.slice(0, IMPORT_ERRORS_SHOWN).map(e =>
+        `<li><strong>${escapeHtml(e.source)}</strong>: ${escapeHtml(e.message)}</li>`
+    );
+    if (report.errors.length > IMPORT_ERRORS_SHOWN) {
+        shown.push(`<li>… y ${report.errors.length - IMPORT_ERRORS_SHOWN} más</li>`);
+    }
+    importErrorsEl.innerHTML = `<p class="import-file">${escapeHtml(fileName)}</p><ul>${shown.join('')}</ul>`;
+    importPanel.classList.remove('hidden');
+}
+
+// Sesión elegida en el selector de reproducción. Lanza, con un mensaje para el panel, si no hay
+// selección, si la sesión ya no existe o no tiene datos o si falla la lectura de sus muestras.
+async function getReplaySession(value) {
+    if (!value) throw new Error('Selecciona una sesión con datos para reproducir');
+    const [source, key] = value.split(':');
+    let session = null;
+    if (source === 'file') {
+        session = importedReplaySessions[parseInt(key)] || null;
+    } else if (source === 'db') {
+        try {
+            session = await dataLogger.getSessionWithData(parseInt(key));
+        } catch (e) {
+            console.error('Replay read error:', e);
+            throw new Error('No se pudo leer la sesión: ' + e.message);
+        }
+    }
+    if (!session) throw new Error('La sesión seleccionada ya no existe');
+    if (!session.data || session.data.length === 0) throw new Error('La sesión seleccionada no tiene datos');
+    return session;
+}
+
+function showReplayError(message) {
+    status.textContent = message;
+    status.className = 'status error';
+    if (!replayDiffEl) return;
+    replayDiffEl.innerHTML = `<p class="replay-error">${escapeHtml(message)}</p>`;
+    replayDiffEl.classList.remove('hidden');
+}
+
+async function startReplay() {
+    if (isRunning) {
+        status.textContent = 'Detén el monitoreo antes de reproducir';
+        status.className = 'status error';
+        return;
+    }
+
+    let session;
+    try {
+        session = await getReplaySession(replaySessionSelect ? replaySessionSelect.value : '');
+    } catch (error) {
+        showReplayError(error.message);
+        return;
+    }
 
-    showCalibrationPanel();
-    calibrationStatus.textContent = 'Realiza 5 repeticiones completas y controladas. La calibración comenzará automáticamente.';
-    progressText.textContent = 'Esperando inicio...';
-    progressBar.style.width = '0%';
-    calibrationResults.classList.add('hidden');
-    applyCalibrateBtn.classList.add('hidden');
+    const speed = parseFloat(replaySpeedSelect ? replaySpeedSelect.value : '1');
+    const source = new ReplayMotionSource(session, { speed });
+    if (source.samples.length === 0) {
+        showReplayError('La sesión seleccionada no tiene muestras con tiempo');
+        return;
+    }
 
-    autoCalibrator.startCalibration();
     axisFilter.reset();
+    gravityEstimator.reset();
+    repDetector.reset();
+    applyActiveProfile();
     cadenceEstimator.reset();
-    if (cadenceValueEl) cadenceValueEl.textContent = '--';
-    dataPoints.labels = [];
-    dataPoints.x = [];
-    dataPoints.y = [];
-    dataPoints.z = [];
-
-    isCalibrating = true;
-    isRunning = true;
-    startBtn.textContent = 'Detener Calibración';
-    startBtn.classList.add('active');
+    renderCadence(null);
+    resetChartData();
+    resetWorkout();
+    updateRepCounter(0);
+    updatePhase('Listo');
+    updateQualityGauge(0);
+    replayDiffEl.classList.add('hidden');
+
+    replayTracks = { original: [], current: [] };
+
+    isReplaying = true;
+    replayBtn.textContent = 'Detener reproducción';
+    replayBtn.classList.add('active');
+    status.textContent = `Reproduciendo ${source.samples.length} muestras (${isFinite(speed) ? speed + 'x' : 'máx.'})`;
+    status.className = 'status success';
+    console.log(`Replay started: ${source.samples.length} samples at ${speed}x`);
+    trackerEvents.emit('start', { mode: 'replay', source: source.kind });
 
-    console.log('Starting calibration...');
-    window.addEventListener('devicemotion', handleMotionCalibration);
+    try {
+        await attachMotionSource(source, handleReplaySample, () => stopReplay(true));
+    } catch (error) {
+        console.error('Replay source error:', error);
+        stopReplay();
+        showReplayError('No se pudo iniciar la reproducción: ' + error.message);
+    }
 }
 
-function handleMotionCalibration(event) {
-    if (!isCalibrating) return;
-
-    const now = Date.now();
-    if (now - lastSampleTime < samplingInterval) return;
-    lastSampleTime = now;
-
-    const acc = event.acceleration || event.accelerationIncludingGravity;
-    if (!acc || (acc.x === null && acc.y === null && acc.z === null)) return;
+function handleReplaySample(sample) {
+    const recorded = sample.recorded;
+    const motion = resolveVerticalMotion(sample, recorded.axis || detectedAxis);
 
-    const x = acc.x || 0;
-    const y = acc.y || 0;
-    const z = acc.z || 0;
+    const event = processMotionSample(motion, sample.timestamp, 'replay');
 
-    updateChart(x, y, z);
-    updateValues(x, y, z);
+    replayTracks.original.push({ timestamp: sample.timestamp, phase: recorded.phase, repCount: recorded.repCount });
+    replayTracks.current.push({ timestamp: sample.timestamp, phase: event.phase, repCount: event.repCount });
+}
 
-    let axisValue;
-    switch(detectedAxis) {
-        case 'x': axisValue = x; break;
-        case 'y': axisValue = y; break;
-        case 'z': axisValue = z; break;
-        default: axisValue = y;
-    }
+function stopReplay(finished = false) {
+    if (!isReplaying) return;
+    stopMotionSource();
+    flushRangeOfMotion();
+    isReplaying = false;
+    trackerEvents.emit('stop', { mode: 'replay', source: 'replay' });
 
-    const smoothed = axisFilter.addValue(axisValue);
-    const result = autoCalibrator.processValue(smoothed, now);
+    replayBtn.textContent = 'Reproducir';
+    replayBtn.classList.remove('active');
+    status.textContent = finished ? 'Reproducción completada' : 'Reproducción detenida';
+    status.className = 'status';
 
-    if (result && result.repCount !== undefined) {
-        updateCalibrationProgress();
+    renderReplayDiff();
+}
 
-        if (result.thresholds) {
-            completeCalibration(result);
+// Resume una pista de reproducción: instantes de cada rep y tiempo en cada fase
+function summarizeReplayTrack(track) {
+    const reps = [];
+    const phaseTime = {};
+    let prevCount = track.length ? (track[0].repCount || 0) : 0;
+    for (let i = 0; i < track.length; i++) {
+        const r = track[i];
+        if ((r.repCount || 0) > prevCount) reps.push(r.timestamp);
+        prevCount = r.repCount || 0;
+        if (i > 0 && r.phase) {
+            const dt = r.timestamp - track[i - 1].timestamp;
+            phaseTime[r.phase] = (phaseTime[r.phase] || 0) + dt;
         }
     }
+    return { reps, phaseTime };
 }
 
-function completeCalibration(result) {
-    isCalibrating = false;
-    isRunning = false;
-    window.removeEventListener('devicemotion', handleMotionCalibration);
-
-    calibratedThresholds = result.thresholds;
-    localStorage.setItem('calibratedThresholds', JSON.stringify(calibratedThresholds));
-    localStorage.setItem('calibrationDate', new Date().toISOString());
+function renderReplayDiff() {
+    if (!replayDiffEl || !replayTracks || replayTracks.current.length === 0) return;
 
-    calibrationStatus.textContent = '✓ ¡Calibración completada!';
-    progressBar.style.width = '100%';
-    progressText.textContent = `${result.stats.repsDetected} repeticiones analizadas`;
+    const original = summarizeReplayTrack(replayTracks.original);
+    const current = summarizeReplayTrack(replayTracks.current);
+    const t0 = replayTracks.current[0].timestamp;
+    const hasOriginalPhases = replayTracks.original.some(r => r.phase);
 
-    thresholdUp.textContent = result.thresholds.upwardAcceleration.toFixed(2) + ' m/s²';
-    thresholdDown.textContent = result.thresholds.downwardAcceleration.toFixed(2) + ' m/s²';
-    thresholdAmplitude.textContent = result.thresholds.minAmplitude.toFixed(2) + ' m/s²';
+    let matches = 0;
+    for (let i = 0; i < replayTracks.current.length; i++) {
+        if (replayTracks.original[i].phase === replayTracks.current[i].phase) matches++;
+    }
+    const agreement = (matches / replayTracks.current.length) * 100;
+
+    const repRows = [];
+    for (let i = 0; i < Math.max(original.reps.length, current.reps.length); i++) {
+        const o = original.reps[i];
+        const c = current.reps[i];
+        const fmt = t => t === undefined ? '—' : ((t - t0) / 1000).toFixed(1) + ' s';
+        const delta = o !== undefined && c !== undefined ? ((c - o) / 1000).toFixed(2) + ' s' : '—';
+        repRows.push(`<tr><td>${i + 1}</td><td>${fmt(o)}</td><td>${fmt(c)}</td><td>${delta}</td></tr>`);
+    }
 
-    calibrationResults.classList.remove('hidden');
-    applyCalibrateBtn.classList.remove('hidden');
+    const phases = ['Listo', 'Subiendo', 'Arriba', 'Bajando'];
+    const phaseRows = phases.map(p => {
+        const o = (original.phaseTime[p] || 0) / 1000;
+        const c = (current.phaseTime[p] || 0) / 1000;
+        return `<tr><td>${p}</td><td>${o.toFixed(1)} s</td><td>${c.toFixed(1)} s</td><td>${(c - o).toFixed(1)} s</td></tr>`;
+    });
 
-    startBtn.textContent = 'Iniciar';
-    startBtn.classList.remove('active');
+    replayDiffEl.innerHTML = `
+        <h3>Original vs. umbrales actuales</h3>
+        <div class="replay-diff-summary">
+            <div><span class="replay-diff-label">Reps registradas</span><span class="replay-diff-value">${original.reps.length}</span></div>
+            <div><span class="replay-diff-label">Reps actuales</span><span class="replay-diff-value">${current.reps.length}</span></div>
+            <div><span class="replay-diff-label">Coincidencia de fase</span><span class="replay-diff-value">${hasOriginalPhases ? agreement.toFixed(0) + '%' : '—'}</span></div>
+        </div>
+        <table class="replay-diff-table">
+            <thead><tr><th>Fase</th><th>Original</th><th>Actual</th><th>Δ</th></tr></thead>
+            <tbody>${phaseRows.join('')}</tbody>
+        </table>
+        <table class="replay-diff-table">
+            <thead><tr><th>Rep</th><th>Original</th><th>Actual</th><th>Δ</th></tr></thead>
+            <tbody>${repRows.join('') || '<tr><td colspan="4">Sin repeticiones</td></tr>'}</tbody>
+        </table>`;
+    replayDiffEl.classList.remove('hidden');
 }
 
 // ========================================
-// DETECCIÓN Y MONITOREO
+// HISTORIAL DE SESIONES
 // ========================================
 
-function handleMotion(event) {
-    if (!isRunning || isCalibrating) return;
-
-    const now = Date.now();
-    if (now - lastSampleTime < samplingInterval) return;
-    lastSampleTime = now;
+const PHASE_COLORS = {
+    'Listo': '#95a5a6',
+    'Subiendo': '#27ae60',
+    'Arriba': '#f39c12',
+    'Bajando': '#3498db'
+};
 
-    const acc = event.acceleration || event.accelerationIncludingGravity;
-    if (!acc || (acc.x === null && acc.y === null && acc.z === null)) return;
+let historyChart = null;
+let historySessionId = null;
+
+// Datos de resumen de una sesión a partir de sus metadatos (las sesiones anteriores a los
+// registros por rep no tienen `reps`; se usan las series si existen)
+function summarizeSession(session) {
+    const reps = Array.isArray(session.reps) ? session.reps : null;
+    const sets = Array.isArray(session.sets) ? session.sets : [];
+    const repCount = reps ? reps.length : (sets.length ? sets.reduce((sum, set) => sum + set.reps, 0) : null);
+    const qualities = reps
+        ? reps.map(rep => rep.quality)
+        : sets.filter(set => set.avgQuality !== null).map(set => set.avgQuality);
+    return {
+        durationMs: session.endedAt ? new Date(session.endedAt) - new Date(session.startedAt) : null,
+        axis: session.detectedAxis || null,
+        repCount,
+        avgQuality: qualities.length ? qualities.reduce((a, b) => a + b, 0) / qualities.length : null
+    };
+}
 
-    const x = acc.x || 0;
-    const y = acc.y || 0;
-    const z = acc.z || 0;
+async function openHistory() {
+    closeHistoryDetail();
+    await renderHistoryList();
+    historyPanel.classList.remove('hidden');
+}
 
-    updateValues(x, y, z);
-    updateChart(x, y, z);
+function closeHistory() {
+    closeHistoryDetail();
+    historyPanel.classList.add('hidden');
+}
 
-    let axisValue;
-    switch(detectedAxis) {
-        case 'x': axisValue = x; break;
-        case 'y': axisValue = y; break;
-        case 'z': axisValue = z; break;
-        default: axisValue = y;
+async function renderHistoryList() {
+    const sessions = await dataLogger.getSessions();
+    if (sessions.length === 0) {
+        historyListEl.innerHTML = '<p class="history-empty">Todavía no hay sesiones registradas.</p>';
+        return;
     }
+    historyListEl.innerHTML = sessions.map(session => {
+        const summary = summarizeSession(session);
+        const date = new Date(session.startedAt).toLocaleString();
+        return `
+            <button class="history-item" data-id="${session.id}">
+                <span class="history-item-title">${escapeHtml(session.name || date)}</span>
+                <span class="history-item-meta">
+                    ${session.name ? `${date} · ` : ''}${summary.durationMs !== null ? formatClock(summary.durationMs) : '—'}
+                    · Eje ${summary.axis ? summary.axis.toUpperCase() : '—'}
+                    · ${summary.repCount ?? '—'} reps
+                    · Calidad ${summary.avgQuality !== null ? summary.avgQuality.toFixed(0) + '%' : '—'}
+                    ${session.exercise ? `· ${escapeHtml(session.exercise.name)}` : ''}
+                </span>
+                ${session.notes ? `<span class="history-item-notes">${escapeHtml(session.notes)}</span>` : ''}
+            </button>`;
+    }).join('');
+}
 
-    const smoothed = axisFilter.addValue(axisValue);
-
-    // Estimar cadencia por FFT (mostrar en campo fijo)
+async function openHistoryDetail(id) {
+    let session;
     try {
-        const cadence = cadenceEstimator.addSample(smoothed);
-        if (cadence && cadenceValueEl) {
-            const rpm = cadence.frequencyHz * 60;
-            cadenceValueEl.textContent = rpm.toFixed(0);
-        }
-    } catch (error) {
-        console.error('Error en cadenceEstimator:', error);
+        session = await dataLogger.getSessionWithData(id);
+        if (!session) throw new Error('la sesión ya no existe');
+    } catch (e) {
+        showStorageError('No se pudo abrir la sesión', e);
+        await renderHistoryList();
+        return;
     }
+    historySessionId = id;
+
+    const summary = summarizeSession(session);
+    historyNameInput.value = session.name || '';
+    historyNotesInput.value = session.notes || '';
+    historySummaryEl.textContent = [
+        new Date(session.startedAt).toLocaleString(),
+        summary.durationMs !== null ? formatClock(summary.durationMs) : null,
+        `${session.data.length} muestras`,
+        session.rawCapture && session.rawCapture.effectiveRateHz
+            ? `captura cruda ${session.rawCapture.effectiveRateHz.toFixed(0)} Hz`
+            : null,
+        summary.repCount !== null ? `${summary.repCount} reps` : null,
+        summary.avgQuality !== null ? `calidad ${summary.avgQuality.toFixed(0)}%` : null
+    ].filter(Boolean).join(' · ');
+
+    historyListEl.classList.add('hidden');
+    historyListActions.classList.add('hidden');
+    historyDetailEl.classList.remove('hidden');
+    renderHistoryChart(session);
+}
 
-    const repResult = repDetector.processAcceleration(smoothed, now);
-
-    updateRepCounter(repResult.repCount);
-    updatePhase(repDetector.getPhaseText());
-    updateIntensityGauge(smoothed);
+function closeHistoryDetail() {
+    if (historyChart) historyChart.destroy();
+    historyChart = null;
+    historySessionId = null;
+    historyDetailEl.classList.add('hidden');
+    historyListEl.classList.remove('hidden');
+    historyListActions.classList.remove('hidden');
+}
 
-    if (repResult.quality > 0) {
-        updateQualityGauge(repResult.quality);
+// Señal completa (suavizada si se registró, si no la vertical) coloreada por fase, con un
+// marcador al final de cada rep
+function renderHistoryChart(session) {
+    if (typeof Chart === 'undefined' || !historyChartCanvas || session.data.length === 0) return;
+
+    const t0 = session.data[0].timestamp;
+    const points = session.data.map(r => ({
+        x: (r.timestamp - t0) / 1000,
+        y: r.smoothed ?? r.vertical ?? r.z,
+        phase: r.phase
+    }));
+
+    // Fin de cada rep: de los registros por rep o, en sesiones antiguas, del salto de repCount
+    let repEnds = Array.isArray(session.reps) ? session.reps.map(rep => rep.endTime) : [];
+    if (repEnds.length === 0) {
+        for (let i = 1; i < session.data.length; i++) {
+            if ((session.data[i].repCount || 0) > (session.data[i - 1].repCount || 0)) repEnds.push(session.data[i].timestamp);
+        }
     }
+    let cursor = 0;
+    const repMarkers = repEnds.map((end, i) => {
+        while (cursor < session.data.length - 1 && session.data[cursor].timestamp < end) cursor++;
+        return { x: (end - t0) / 1000, y: points[cursor].y, rep: i + 1 };
+    });
 
-    // Logging
-    dataLogger.append({
-        timestamp: now,
-        x, y, z,
-        axis: detectedAxis,
-        smoothed,
-        cadenceHz: cadenceEstimator.lastFrequencyHz || null,
-        repCount: repResult.repCount,
-        phase: repDetector.getPhaseText(),
-        quality: repResult.quality || null
+    if (historyChart) historyChart.destroy();
+    historyChart = new Chart(historyChartCanvas.getContext('2d'), {
+        type: 'line',
+        data: {
+            datasets: [
+                {
+                    label: 'Aceleración vertical',
+                    data: points,
+                    borderWidth: 1.5,
+                    pointRadius: 0,
+                    segment: {
+                        borderColor: ctx => PHASE_COLORS[ctx.p1.raw.phase] || PHASE_COLORS['Listo']
+                    }
+                },
+                {
+                    type: 'scatter',
+                    label: 'Reps',
+                    data: repMarkers,
+                    pointStyle: 'triangle',
+                    pointRadius: 6,
+                    backgroundColor: '#e74c3c',
+                    borderColor: '#e74c3c'
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            parsing: false,
+            normalized: true,
+            scales: {
+                x: { type: 'linear', title: { display: true, text: 's' } },
+                y: { title: { display: true, text: 'm/s²' } }
+            },
+            plugins: {
+                legend: { display: false },
+                decimation: { enabled: points.length > 4000, algorithm: 'min-max' },
+                tooltip: {
+                    callbacks: {
+                        label: ctx => ctx.raw.rep
+                            ? `Rep ${ctx.raw.rep}`
+                            : `${ctx.raw.y.toFixed(2)} m/s² · ${ctx.raw.phase || '—'}`
+                    }
+                }
+            }
+        }
     });
 }
 
-function detectVerticalAxis(statusElement) {
-    return new Promise((resolve) => {
-        let samplesCollected = 0;
-        const samples = { x: [], y: [], z: [] };
-        const SAMPLES_NEEDED = 5;
-
-        const handler = (event) => {
-            const acc = event.accelerationIncludingGravity;
-            if (!acc || acc.x === null || acc.y === null || acc.z === null) return;
-
-            samples.x.push(Math.abs(acc.x));
-            samples.y.push(Math.abs(acc.y));
-            samples.z.push(Math.abs(acc.z));
-            samplesCollected++;
+async function saveHistoryDetail() {
+    if (historySessionId === null) return;
+    try {
+        const session = await dataLogger.updateSession(historySessionId, {
+            name: historyNameInput.value.trim() || null,
+            notes: historyNotesInput.value.trim() || null
+        });
+        if (!session) throw new Error('la sesión ya no existe');
+    } catch (e) {
+        showStorageError('No se pudo guardar la sesión', e);
+        return;
+    }
+    closeHistoryDetail();
+    await renderHistoryList();
+    await refreshReplaySessions();
+}
 
-            statusElement.textContent = `Detectando... (${samplesCollected}/${SAMPLES_NEEDED})`;
+// Fallo de una acción del historial lanzada desde un botón: se muestra en el estado
+function showStorageError(message, error) {
+    console.error('Storage error:', error);
+    status.textContent = `${message}: ${error.message}`;
+    status.className = 'status error';
+}
 
-            if (samplesCollected >= SAMPLES_NEEDED) {
-                const avgX = samples.x.reduce((a, b) => a + b, 0) / SAMPLES_NEEDED;
-                const avgY = samples.y.reduce((a, b) => a + b, 0) / SAMPLES_NEEDED;
-                const avgZ = samples.z.reduce((a, b) => a + b, 0) / SAMPLES_NEEDED;
+async function exportHistoryFIT() {
+    if (historySessionId === null) return;
+    try {
+        const validation = await dataLogger.exportFIT(historySessionId);
+        const sets = validation.messages.filter(m => m.name === 'set' && m.values.set_type === 1).length;
+        status.textContent = `FIT exportado y verificado (${sets} series)`;
+        status.className = 'status success';
+    } catch (e) {
+        console.error('FIT export error:', e);
+        status.textContent = 'No se pudo exportar FIT: ' + e.message;
+        status.className = 'status error';
+    }
+}
 
-                let verticalAxis;
-                if (avgX >= avgY && avgX >= avgZ) verticalAxis = 'x';
-                else if (avgY >= avgX && avgY >= avgZ) verticalAxis = 'y';
-                else verticalAxis = 'z';
+async function deleteHistorySession() {
+    if (historySessionId === null) return;
+    if (!confirm('¿Eliminar esta sesión y todas sus muestras?')) return;
+    try {
+        await dataLogger.deleteSession(historySessionId);
+    } catch (error) {
+        status.textContent = error.message;
+        status.className = 'status error';
+        return;
+    }
+    closeHistoryDetail();
+    await renderHistoryList();
+    await refreshReplaySessions();
+}
 
-                console.log(`Vertical axis detected: ${verticalAxis.toUpperCase()} (X:${avgX.toFixed(2)}, Y:${avgY.toFixed(2)}, Z:${avgZ.toFixed(2)})`);
+// ========================================
+// PROGRESO
+// ========================================
 
-                window.removeEventListener('devicemotion', handler);
-                resolve(verticalAxis);
-            }
-        };
+const PROGRESS_COLORS = ['#667eea', '#27ae60', '#f39c12', '#e74c3c', '#3498db', '#9b59b6', '#1abc9c'];
 
-        window.addEventListener('devicemotion', handler);
+let progressCharts = [];
+let progressSessions = [];
 
-        setTimeout(() => {
-            window.removeEventListener('devicemotion', handler);
-            console.log('Timeout - using Y as default');
-            resolve('y');
-        }, 2000);
-    });
+// Clave del periodo: lunes de la semana (YYYY-MM-DD) o mes (YYYY-MM), en hora local
+function periodKey(date, period) {
+    const pad = n => String(n).padStart(2, '0');
+    if (period === 'month') return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+    return `${monday.getFullYear()}-${pad(monday.getMonth() + 1)}-${pad(monday.getDate())}`;
 }
 
-async function requestPermission() {
-    if (typeof DeviceMotionEvent !== 'undefined' && typeof DeviceMotionEvent.requestPermission === 'function') {
-        try {
-            const permission = await DeviceMotionEvent.requestPermission();
-            if (permission === 'granted') {
-                return true;
-            } else {
-                status.textContent = 'Permiso denegado';
-                status.className = 'status error';
-                return false;
-            }
-        } catch (error) {
-            console.error('Error requesting permission:', error);
-            status.textContent = 'Error al solicitar permisos: ' + error.message;
-            status.className = 'status error';
-            return false;
-        }
-    }
-    return true;
+function periodLabel(key, period) {
+    const [year, month, day] = key.split('-');
+    return period === 'month' ? `${month}/${year}` : `Sem. ${day}/${month}`;
 }
 
-async function toggleMonitoring() {
-    if (!isRunning) {
-        if (!window.DeviceMotionEvent) {
-            status.textContent = 'Tu dispositivo no soporta el acelerómetro';
-            status.className = 'status error';
-            return;
+// Agrega las sesiones por periodo: reps (volumen), series, reps por ejercicio, calidad media
+// ponderada por reps y cadencia media; además las mejores series por número de reps
+function buildProgressData(sessions, { from = null, to = null, exercise = '', period = 'week' } = {}) {
+    const filtered = sessions
+        .filter(session => {
+            const date = new Date(session.startedAt);
+            if (from && date < from) return false;
+            if (to && date > to) return false;
+            if (exercise && (session.exercise ? session.exercise.id : '') !== exercise) return false;
+            return true;
+        })
+        .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+
+    const buckets = new Map();
+    const exercises = new Set();
+    const bestSets = [];
+    for (const session of filtered) {
+        const summary = summarizeSession(session);
+        const key = periodKey(new Date(session.startedAt), period);
+        if (!buckets.has(key)) {
+            buckets.set(key, { key, reps: 0, sets: 0, sessions: 0, byExercise: {}, qualitySum: 0, qualityWeight: 0, cadenceSum: 0, cadenceCount: 0 });
         }
+        const bucket = buckets.get(key);
+        const name = session.exercise ? session.exercise.name : 'Sin ejercicio';
+        const reps = summary.repCount || 0;
+        const sets = Array.isArray(session.sets) ? session.sets : [];
+
+        exercises.add(name);
+        bucket.sessions++;
+        bucket.reps += reps;
+        bucket.sets += sets.length;
+        bucket.byExercise[name] = (bucket.byExercise[name] || 0) + reps;
+        if (summary.avgQuality !== null && reps > 0) {
+            bucket.qualitySum += summary.avgQuality * reps;
+            bucket.qualityWeight += reps;
+        }
+        if (session.avgCadenceHz) {
+            bucket.cadenceSum += session.avgCadenceHz * 60;
+            bucket.cadenceCount++;
+        }
+        for (const set of sets) {
+            bestSets.push({ ...set, exercise: name, date: session.startedAt });
+        }
+    }
 
-        const hasPermission = await requestPermission();
-        if (!hasPermission) return;
-
-        status.textContent = 'Detectando orientación...';
-        status.className = 'status';
-        detectedAxis = await detectVerticalAxis(status);
-
-        status.textContent = `Eje detectado: ${detectedAxis.toUpperCase()} ✓`;
-        status.className = 'status success';
-
-        await new Promise(resolve => setTimeout(resolve, 1500));
+    bestSets.sort((a, b) => b.reps - a.reps || (b.avgQuality ?? 0) - (a.avgQuality ?? 0));
+    const periods = [...buckets.values()].map(bucket => ({
+        key: bucket.key,
+        label: periodLabel(bucket.key, period),
+        reps: bucket.reps,
+        sets: bucket.sets,
+        sessions: bucket.sessions,
+        byExercise: bucket.byExercise,
+        avgQuality: bucket.qualityWeight ? bucket.qualitySum / bucket.qualityWeight : null,
+        avgCadenceRpm: bucket.cadenceCount ? bucket.cadenceSum / bucket.cadenceCount : null
+    }));
+    return {
+        sessions: filtered.length,
+        reps: periods.reduce((sum, p) => sum + p.reps, 0),
+        sets: periods.reduce((sum, p) => sum + p.sets, 0),
+        exercises: [...exercises],
+        periods,
+        bestSets: bestSets.slice(0, 5)
+    };
+}
 
-        axisFilter.reset();
-        repDetector.reset();
-        cadenceEstimator.reset();
-        cadenceEstimator.setSampleRate(Math.round(1000 / samplingInterval));
-        if (cadenceValueEl) cadenceValueEl.textContent = '--';
+// El panel se muestra cuando ya está pintado; si falla la lectura del historial, con el error
+async function openProgress() {
+    try {
+        progressSessions = await dataLogger.store.listSessions();
+        await dataLogger.backfillCadence(progressSessions);
 
-        if (calibratedThresholds) {
-            repDetector.setThresholds(calibratedThresholds);
-            monitoringStatusBase = `Monitoreando con calibración (Eje ${detectedAxis.toUpperCase()})`;
-            status.textContent = monitoringStatusBase;
-        } else {
-            monitoringStatusBase = `Monitoreando (Eje ${detectedAxis.toUpperCase()})`;
-            status.textContent = monitoringStatusBase;
+        // Ejercicios: perfiles actuales y los que aparecen en sesiones (aunque se hayan borrado)
+        const names = new Map(exerciseProfiles.list().map(p => [p.id, p.name]));
+        for (const session of progressSessions) {
+            if (session.exercise && !names.has(session.exercise.id)) names.set(session.exercise.id, session.exercise.name);
         }
+        const current = progressExerciseSelect.value;
+        progressExerciseSelect.innerHTML = '<option value="">Todos</option>' +
+            [...names].map(([id, name]) => `<option value="${escapeHtml(id)}">${escapeHtml(name)}</option>`).join('');
+        progressExerciseSelect.value = names.has(current) ? current : '';
+
+        renderProgress();
+    } catch (e) {
+        console.error('Progress error:', e);
+        progressSessions = [];
+        for (const chart of progressCharts) chart.destroy();
+        progressCharts = [];
+        progressTotalsEl.innerHTML = `<p class="progress-error">No se pudo cargar el progreso: ${escapeHtml(e.message)}</p>`;
+        progressBestSetsEl.innerHTML = '';
+    }
+    progressPanel.classList.remove('hidden');
+}
 
-        updateRepCounter(0);
-        updatePhase('Listo');
-        updateQualityGauge(0);
-
-        isRunning = true;
-        startBtn.textContent = 'Detener';
-        startBtn.classList.add('active');
-        status.className = 'status success';
+function closeProgress() {
+    for (const chart of progressCharts) chart.destroy();
+    progressCharts = [];
+    progressPanel.classList.add('hidden');
+}
 
-        window.addEventListener('devicemotion', handleMotion);
-    } else {
-        isRunning = false;
-        monitoringStatusBase = '';
-        startBtn.textContent = 'Iniciar';
-        startBtn.classList.remove('active');
-        status.textContent = 'Detenido';
-        status.className = 'status';
+function readProgressFilters() {
+    const parseDate = (value, endOfDay) => {
+        if (!value) return null;
+        const [year, month, day] = value.split('-').map(Number);
+        return endOfDay ? new Date(year, month - 1, day, 23, 59, 59, 999) : new Date(year, month - 1, day);
+    };
+    return {
+        from: parseDate(progressFromInput.value, false),
+        to: parseDate(progressToInput.value, true),
+        exercise: progressExerciseSelect.value,
+        period: progressPeriodSelect.value
+    };
+}
 
-        if (cadenceValueEl) cadenceValueEl.textContent = '--';
+function renderProgress() {
+    const data = buildProgressData(progressSessions, readProgressFilters());
+
+    progressTotalsEl.innerHTML = `
+        <div><span class="replay-diff-label">Sesiones</span><span class="replay-diff-value">${data.sessions}</span></div>
+        <div><span class="replay-diff-label">Series</span><span class="replay-diff-value">${data.sets}</span></div>
+        <div><span class="replay-diff-label">Reps</span><span class="replay-diff-value">${data.reps}</span></div>`;
+
+    progressBestSetsEl.innerHTML = data.bestSets.length ? `
+        <table class="set-table">
+            <thead><tr><th>Fecha</th><th>Ejercicio</th><th>Reps</th><th>Calidad</th><th>ROM</th></tr></thead>
+            <tbody>${data.bestSets.map(set => `
+                <tr>
+                    <td>${new Date(set.date).toLocaleDateString()}</td>
+                    <td>${escapeHtml(set.exercise)}</td>
+                    <td>${set.reps}</td>
+                    <td>${set.avgQuality !== null && set.avgQuality !== undefined ? set.avgQuality.toFixed(0) + '%' : '—'}</td>
+                    <td>${set.avgRomCm ? set.avgRomCm.toFixed(0) + ' cm' : '—'}</td>
+                </tr>`).join('')}</tbody>
+        </table>` : '<p class="history-empty">Sin series en el periodo seleccionado.</p>';
+
+    for (const chart of progressCharts) chart.destroy();
+    progressCharts = [];
+    if (typeof Chart === 'undefined' || data.periods.length === 0) return;
+
+    const labels = data.periods.map(p => p.label);
+    progressCharts.push(new Chart(progressVolumeCanvas.getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels,
+            datasets: data.exercises.map((name, i) => ({
+                label: name,
+                data: data.periods.map(p => p.byExercise[name] || 0),
+                backgroundColor: PROGRESS_COLORS[i % PROGRESS_COLORS.length]
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            scales: {
+                x: { stacked: true },
+                y: { stacked: true, beginAtZero: true, title: { display: true, text: 'reps' } }
+            }
+        }
+    }));
 
-        window.removeEventListener('devicemotion', handleMotion);
-    }
+    progressCharts.push(new Chart(progressTrendCanvas.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels,
+            datasets: [
+                {
+                    label: 'Calidad media (%)',
+                    data: data.periods.map(p => p.avgQuality),
+                    borderColor: '#27ae60',
+                    backgroundColor: '#27ae60',
+                    yAxisID: 'y',
+                    spanGaps: true
+                },
+                {
+                    label: 'Cadencia media (rpm)',
+                    data: data.periods.map(p => p.avgCadenceRpm),
+                    borderColor: '#667eea',
+                    backgroundColor: '#667eea',
+                    yAxisID: 'y1',
+                    spanGaps: true
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            scales: {
+                y: { min: 0, max: 100, position: 'left', title: { display: true, text: '%' } },
+                y1: { beginAtZero: true, position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: 'rpm' } }
+            }
+        }
+    }));
 }
 
 // ========================================
@@ -1277,21 +4000,20 @@ async function toggleMonitoring() {
 // ========================================
 
 document.addEventListener('DOMContentLoaded', () => {
+    registerTrackerSubscribers();
+
     // Obtener referencia al elemento de cadencia (puede no existir en versiones antiguas)
     cadenceValueEl = document.getElementById('cadenceValue');
     
-    // Cargar umbrales calibrados
-    const savedThresholds = localStorage.getItem('calibratedThresholds');
-    if (savedThresholds) {
-        try {
-            calibratedThresholds = JSON.parse(savedThresholds);
-            const calibrationDate = localStorage.getItem('calibrationDate');
-            console.log('Calibrated thresholds loaded. Date:', calibrationDate);
-            status.textContent = '✓ Calibración cargada';
-            status.className = 'status success';
-        } catch (e) {
-            console.error('Error loading thresholds:', e);
-        }
+    // Cargar perfiles de ejercicio (y su calibración)
+    exerciseProfiles.load();
+    renderExerciseOptions();
+    applyActiveProfile();
+    const activeCalibration = exerciseProfiles.getCalibration(exerciseProfiles.activeId);
+    if (activeCalibration) {
+        console.log('Calibrated thresholds loaded. Date:', activeCalibration.date);
+        status.textContent = `✓ Calibración cargada (${exerciseProfiles.getActive().name})`;
+        status.className = 'status success';
     }
 
     // Inicializar gráficas
@@ -1311,12 +4033,115 @@ document.addEventListener('DOMContentLoaded', () => {
         dataLogger.start();
         status.textContent = 'Registro iniciado';
     });
-    if (logStopBtn) logStopBtn.addEventListener('click', () => {
-        const session = dataLogger.stop();
-        status.textContent = session ? `Registro guardado (${session.length} muestras)` : 'Registro detenido';
+    if (logStopBtn) logStopBtn.addEventListener('click', async () => {
+        const session = await dataLogger.stop();
+        const raw = session && session.rawCapture;
+        status.textContent = session
+            ? `Registro guardado (${session.length} muestras` +
+              (raw && raw.effectiveRateHz ? `, ${raw.samples} crudas a ${raw.effectiveRateHz.toFixed(0)} Hz)` : ')')
+            : 'Registro detenido';
+        refreshReplaySessions();
+    });
+    if (exportJsonBtn) exportJsonBtn.addEventListener('click', () => {
+        dataLogger.exportJSON().catch(e => showStorageError('No se pudo exportar JSON', e));
+    });
+    if (exportCsvBtn) exportCsvBtn.addEventListener('click', () => {
+        dataLogger.exportCSV().catch(e => showStorageError('No se pudo exportar CSV', e));
+    });
+    if (exportRepsCsvBtn) exportRepsCsvBtn.addEventListener('click', () => {
+        dataLogger.exportRepsCSV().catch(e => showStorageError('No se pudo exportar el CSV de reps', e));
+    });
+    if (importFileInput) importFileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) importSessionsFile(file);
+        e.target.value = '';
+    });
+    if (importPanel) document.getElementById('closeImportBtn').addEventListener('click', () => {
+        importPanel.classList.add('hidden');
+    });
+
+    // Historial de sesiones
+    if (historyBtn) historyBtn.addEventListener('click', openHistory);
+    if (historyPanel) {
+        historyListEl.addEventListener('click', (e) => {
+            const item = e.target.closest('.history-item');
+            if (item) openHistoryDetail(Number(item.dataset.id));
+        });
+        document.getElementById('closeHistoryBtn').addEventListener('click', closeHistory);
+        document.getElementById('historyBackBtn').addEventListener('click', closeHistoryDetail);
+        document.getElementById('historySaveBtn').addEventListener('click', saveHistoryDetail);
+        document.getElementById('historyDeleteBtn').addEventListener('click', deleteHistorySession);
+        document.getElementById('historyExportCsvBtn').addEventListener('click', () => {
+            if (historySessionId === null) return;
+            dataLogger.exportCSV({ sessionId: historySessionId })
+                .catch(e => showStorageError('No se pudo exportar CSV', e));
+        });
+        document.getElementById('historyExportRepsBtn').addEventListener('click', () => {
+            if (historySessionId === null) return;
+            dataLogger.exportRepsCSV({ sessionId: historySessionId })
+                .catch(e => showStorageError('No se pudo exportar el CSV de reps', e));
+        });
+        document.getElementById('historyExportFitBtn').addEventListener('click', exportHistoryFIT);
+    }
+
+    // Progreso
+    if (progressBtn) progressBtn.addEventListener('click', openProgress);
+    if (progressPanel) {
+        document.getElementById('closeProgressBtn').addEventListener('click', closeProgress);
+        for (const input of [progressFromInput, progressToInput, progressExerciseSelect, progressPeriodSelect]) {
+            input.addEventListener('change', renderProgress);
+        }
+    }
+
+    // Política de retención del historial ("count:N", "days:N" o "none")
+    if (retentionSelect) {
+        const { maxSessions, maxAgeDays } = dataLogger.retention;
+        retentionSelect.value = maxSessions ? `count:${maxSessions}` : maxAgeDays ? `days:${maxAgeDays}` : 'none';
+        retentionSelect.addEventListener('change', async (e) => {
+            const [kind, value] = e.target.value.split(':');
+            let removed;
+            try {
+                removed = await dataLogger.setRetention({
+                    maxSessions: kind === 'count' ? parseInt(value) : null,
+                    maxAgeDays: kind === 'days' ? parseInt(value) : null
+                });
+            } catch (error) {
+                showStorageError('No se pudo aplicar la retención', error);
+                return;
+            }
+            status.textContent = removed ? `Retención aplicada (${removed} sesiones eliminadas)` : 'Retención actualizada';
+            status.className = 'status success';
+        });
+    }
+    dataLogger.init().then(refreshReplaySessions);
+
+    // Fuente de movimiento (se recuerda entre visitas)
+    if (motionSourceSelect) {
+        const updateSourceControls = () => {
+            wsUrlInput.classList.toggle('hidden', motionSourceSelect.value !== 'websocket');
+            if (syntheticPanel) syntheticPanel.classList.toggle('hidden', motionSourceSelect.value !== 'synthetic');
+        };
+        motionSourceSelect.value = localStorage.getItem('motionSource') || 'devicemotion';
+        wsUrlInput.value = localStorage.getItem('motionSourceWsUrl') || DEFAULT_WEBSOCKET_URL;
+        applyMotionSourceUrlParams();
+        updateSourceControls();
+        motionSourceSelect.addEventListener('change', () => {
+            localStorage.setItem('motionSource', motionSourceSelect.value);
+            updateSourceControls();
+        });
+        wsUrlInput.addEventListener('change', () => localStorage.setItem('motionSourceWsUrl', wsUrlInput.value.trim()));
+    }
+
+    // Reproducción de sesiones
+    if (replayBtn) replayBtn.addEventListener('click', () => {
+        if (isReplaying) stopReplay();
+        else startReplay();
+    });
+    if (replayFileInput) replayFileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) loadReplayFile(file);
+        e.target.value = '';
     });
-    if (exportJsonBtn) exportJsonBtn.addEventListener('click', () => dataLogger.exportJSON());
-    if (exportCsvBtn) exportCsvBtn.addEventListener('click', () => dataLogger.exportCSV());
     
     // Debug logger
     debugLogger.enable();
@@ -1326,17 +4151,53 @@ document.addEventListener('DOMContentLoaded', () => {
     if (debugExportBtn) debugExportBtn.addEventListener('click', () => debugLogger.export());
     if (debugClearBtn) debugClearBtn.addEventListener('click', () => debugLogger.clear());
 
-    closeCalibrateBtn.addEventListener('click', () => {
-        isCalibrating = false;
-        isRunning = false;
-        window.removeEventListener('devicemotion', handleMotionCalibration);
-        hideCalibrationPanel();
-        startBtn.textContent = 'Iniciar';
-        startBtn.classList.remove('active');
-        status.textContent = 'Calibración cancelada';
-        status.className = 'status';
+    closeCalibrateBtn.addEventListener('click', () => cancelCalibration());
+
+    // Series y descansos
+    const savedSetSettings = loadSetSettings();
+    targetRepsInput.value = savedSetSettings.targetReps ?? '';
+    stillnessInput.value = savedSetSettings.stillnessSec;
+    restTargetInput.value = savedSetSettings.restTargetSec ?? '';
+    if (fatigueCutoffInput) fatigueCutoffInput.value = savedSetSettings.fatigueCutoffPct ?? '';
+    applySetSettings();
+    updateSetDisplay(0, true);
+    for (const input of [targetRepsInput, stillnessInput, restTargetInput, fatigueCutoffInput]) {
+        if (input) input.addEventListener('change', applySetSettings);
+    }
+    if (endSetBtn) endSetBtn.addEventListener('click', endCurrentSet);
 
-        if (cadenceValueEl) cadenceValueEl.textContent = '--';
+    // Perfiles de ejercicio
+    if (exerciseSelect) exerciseSelect.addEventListener('change', (e) => {
+        if (isRunning || isReplaying) {
+            exerciseSelect.value = exerciseProfiles.activeId;
+            status.textContent = 'Detén la serie antes de cambiar de ejercicio';
+            status.className = 'status error';
+            return;
+        }
+        exerciseProfiles.setActive(e.target.value);
+        applyActiveProfile();
+        const calibrated = exerciseProfiles.getCalibration(exerciseProfiles.activeId);
+        status.textContent = `${exerciseProfiles.getActive().name}${calibrated ? ' (calibrado)' : ''}`;
+        status.className = 'status';
+    });
+    if (editProfileBtn) editProfileBtn.addEventListener('click', () => openProfileEditor(false));
+
+    // Audio: el contexto se desbloquea con el primer gesto del usuario
+    document.addEventListener('pointerdown', () => audioCoach.unlock(), { once: true });
+    audioCoach.onchange = renderMuteButton;
+    renderMuteButton();
+    if (audioMuteBtn) audioMuteBtn.addEventListener('click', () => audioCoach.setMuted(!audioCoach.muted));
+    if (newProfileBtn) newProfileBtn.addEventListener('click', () => openProfileEditor(true));
+    if (saveProfileBtn) saveProfileBtn.addEventListener('click', saveProfileFromEditor);
+    if (cancelProfileBtn) cancelProfileBtn.addEventListener('click', closeProfileEditor);
+    if (deleteProfileBtn) deleteProfileBtn.addEventListener('click', deleteActiveProfile);
+    if (clearProfileCalibrationBtn) clearProfileCalibrationBtn.addEventListener('click', () => {
+        exerciseProfiles.clearCalibration(exerciseProfiles.activeId);
+        renderExerciseOptions();
+        applyActiveProfile();
+        closeProfileEditor();
+        status.textContent = 'Calibración del perfil eliminada';
+        status.className = 'status';
     });
 
     applyCalibrateBtn.addEventListener('click', () => {
@@ -1353,8 +4214,6 @@ document.addEventListener('DOMContentLoaded', () => {
         const hz = parseInt(e.target.value);
         samplingInterval = 1000 / hz;
         samplingRateValueEl.textContent = hz + ' Hz';
-
-        cadenceEstimator.setSampleRate(hz);
     });
 
     // Registrar Service Worker
@@ -0,0 +1,1361 @@
+// ========================================
+// NÚCLEO DE PROCESAMIENTO DE SEÑAL
+// ========================================
+// Filtros, estimación de cadencia, calibración y detección de repeticiones, sin DOM ni globales
+// de la página. En el navegador se expone como `TrainingCore`; en Node, vía `require('./core.js')`.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TrainingCore = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const CALIBRATION_TARGET_REPS = 5;
+
+    // Implementación de FFT disponible en el entorno (global del CDN o paquete `fft.js` en Node)
+    function resolveFFT() {
+        if (typeof FFT !== 'undefined') return FFT;
+        if (typeof require === 'function') {
+            try {
+                return require('fft.js');
+            } catch {
+                return null;
+            }
+        }
+        return null;
+    }
+
+    // Emisor de eventos tipados. on() devuelve la función para desuscribirse, como
+    // MotionSource.subscribe(); un listener que lanza no impide que reciban el evento los demás.
+    class EventEmitter {
+        constructor() {
+            this._listeners = new Map();
+        }
+
+        on(type, handler) {
+            if (!this._listeners.has(type)) this._listeners.set(type, new Set());
+            this._listeners.get(type).add(handler);
+            return () => this.off(type, handler);
+        }
+
+        once(type, handler) {
+            const off = this.on(type, (payload) => {
+                off();
+                handler(payload);
+            });
+            return off;
+        }
+
+        off(type, handler) {
+            const handlers = this._listeners.get(type);
+            if (handlers) handlers.delete(handler);
+        }
+
+        emit(type, payload) {
+            const handlers = this._listeners.get(type);
+            if (!handlers) return;
+            for (const handler of [...handlers]) {
+                try {
+                    handler(payload);
+                } catch (error) {
+                    console.error(`Error in '${type}' listener:`, error);
+                }
+            }
+        }
+    }
+
+    // Filtro de promedio móvil para suavizar datos del acelerómetro
+    class MovingAverageFilter {
+        constructor(windowSize = 5) {
+            this.windowSize = windowSize;
+            this.window = [];
+        }
+
+        addValue(value) {
+            this.window.push(value);
+            if (this.window.length > this.windowSize) {
+                this.window.shift();
+            }
+            return this.getAverage();
+        }
+
+        getAverage() {
+            if (this.window.length === 0) return 0;
+            const sum = this.window.reduce((a, b) => a + b, 0);
+            return sum / this.window.length;
+        }
+
+        reset() {
+            this.window = [];
+        }
+    }
+
+    // Estima la dirección de la gravedad con un paso bajo de `accelerationIncludingGravity`.
+    // La constante de tiempo es larga frente a una repetición, así que el movimiento apenas la
+    // desvía pero sí sigue cambios lentos de orientación (el teléfono girando en el bolsillo).
+    class GravityEstimator {
+        constructor({ timeConstantMs = 2000, minMagnitude = 3 } = {}) {
+            this.timeConstantMs = timeConstantMs;
+            this.minMagnitude = minMagnitude; // Por debajo, la lectura no es fiable (caída libre, sensor sin datos)
+            this.reset();
+        }
+
+        reset() {
+            this.gravity = null;
+            this._lastTimestamp = null;
+        }
+
+        update(vector, timestamp) {
+            if (!this.gravity || this._lastTimestamp === null) {
+                this.gravity = { x: vector.x, y: vector.y, z: vector.z };
+            } else {
+                const dt = Math.max(0, timestamp - this._lastTimestamp);
+                const alpha = dt / (this.timeConstantMs + dt);
+                this.gravity.x += alpha * (vector.x - this.gravity.x);
+                this.gravity.y += alpha * (vector.y - this.gravity.y);
+                this.gravity.z += alpha * (vector.z - this.gravity.z);
+            }
+            this._lastTimestamp = timestamp;
+            return this.gravity;
+        }
+
+        magnitude() {
+            if (!this.gravity) return 0;
+            const { x, y, z } = this.gravity;
+            return Math.sqrt(x * x + y * y + z * z);
+        }
+
+        isReady() {
+            return this.magnitude() >= this.minMagnitude;
+        }
+
+        // Vector unitario "hacia arriba" (la gravedad medida apunta en sentido contrario a la caída)
+        getDirection() {
+            const m = this.magnitude();
+            if (m < this.minMagnitude) return null;
+            return { x: this.gravity.x / m, y: this.gravity.y / m, z: this.gravity.z / m };
+        }
+
+        // Componente vertical de una aceleración (positiva hacia arriba)
+        project(vector) {
+            const d = this.getDirection();
+            if (!d) return null;
+            return vector.x * d.x + vector.y * d.y + vector.z * d.z;
+        }
+    }
+
+    // Escala de la confianza de la cadencia: qué valor de cada medida equivale a 0 y cuál a 1
+    const CADENCE_CONFIDENCE_SCALE = {
+        fft: [10, 30],           // dB del pico sobre el suelo local
+        autocorrelation: [3, 7]  // errores típicos de r en el periodo
+    };
+
+    // Valor en [0, 1] según dónde cae `value` dentro de [low, high]
+    function scaleConfidence(value, [low, high]) {
+        return Math.max(0, Math.min(1, (value - low) / (high - low)));
+    }
+
+    // Estimador de frecuencia dominante (cadencia) usando fft.js
+    // En el navegador usa el global `FFT` (cargado por CDN en index.html); en Node, `require('fft.js')`.
+    // También se puede inyectar la implementación con la opción `FFT`; `FFT: false` fuerza la
+    // autocorrelación.
+    // Las muestras llegan con su timestamp y a intervalos irregulares: la frecuencia de muestreo se
+    // estima con la mediana de los últimos `rateWindow` intervalos y la señal se re-muestrea sobre
+    // una rejilla uniforme (interpolación lineal) antes de la FFT. Sin timestamp se suponen
+    // muestras equiespaciadas a `sampleRateHz`. Un hueco mayor que `maxGapMs` reinicia el historial.
+    // La ventana se mide en tiempo: `windowPeriods` periodos de `fMinHz`, para que quepan varios
+    // ciclos de la cadencia más lenta y se separen fundamental y armónicos a cualquier frecuencia de
+    // muestreo; el número de puntos se ajusta cuando cambia la frecuencia estimada.
+    // La ventana se rellena con ceros hasta la potencia de 2 ≥ `zeroPadding` veces su longitud y el
+    // pico se afina con una parábola sobre el espectro en log. Si en 1/2 o 1/3 de la frecuencia del
+    // pico hay otro pico de al menos `subharmonicRatio` de su amplitud, el pico era un armónico y se
+    // toma el fundamental.
+    // Sin fft.js se usa la autocorrelación normalizada.
+    // La confianza (0-1) se calibra contra ruido, que llega ya coloreado por el filtro de media
+    // móvil: en la FFT, la relación (dB) entre el pico y la mediana del espectro a su alrededor; en
+    // la autocorrelación, cuántos errores típicos (fórmula de Bartlett) se aleja la correlación en
+    // el periodo de cero. CADENCE_CONFIDENCE_SCALE fija qué valores equivalen a 0 y a 1. Sólo las
+    // estimaciones con confianza >= `minConfidence` actualizan el suavizado.
+    // Eventos: 'cadence' con { frequencyHz, rawFrequencyHz, power, confidence, confident, method }.
+    class FFTCadenceEstimator extends EventEmitter {
+        constructor({ windowPeriods = 3, sampleRateHz = 30, fMinHz = 0.2, fMaxHz = 5.0, updateEvery = 6, smoothingAlpha = 0.35, rateWindow = 32, maxGapMs = 1000, zeroPadding = 4, subharmonicRatio = 0.3, minConfidence = 0.4, FFT: fftImpl = null } = {}) {
+            super();
+            this.windowPeriods = Math.max(1, windowPeriods);
+            this.zeroPadding = Math.max(1, zeroPadding);
+            this.subharmonicRatio = subharmonicRatio;
+            this.minConfidence = minConfidence;
+            this._FFT = fftImpl;
+            this.sampleRateHz = sampleRateHz;
+            this.fMinHz = fMinHz;
+            this.fMaxHz = fMaxHz;
+            this.updateEvery = Math.max(1, updateEvery);
+            this.smoothingAlpha = Math.min(1, Math.max(0, smoothingAlpha));
+            this.rateWindow = Math.max(2, rateWindow);
+            this.maxGapMs = maxGapMs;
+
+            this._times = [];
+            this._values = [];
+            this._intervals = [];
+            this._samplesSeen = 0;
+            this.windowLength = 0;
+            this._timeDomain = null;
+            this._window = null;
+
+            this.lastFrequencyHz = 0;
+            this.lastPower = 0;
+            this.lastConfidence = 0;
+            this.lastConfident = false;
+            this.method = null;
+            this._hasConfident = false;
+
+            this._fft = null;
+            this._out = null;
+            this._padded = null;
+            this._fftAvailable = false;
+            this._fftWarned = false;
+            this._configureWindow(this.sampleRateHz);
+        }
+
+        // Puntos de la ventana a `sampleRateHz`. Sólo se rehace (y con ella la FFT) si la longitud
+        // cambia más de un 10%, para que el jitter de la frecuencia estimada no la regenere a cada paso.
+        _configureWindow(sampleRateHz) {
+            const length = Math.max(16, Math.ceil(sampleRateHz * this.windowPeriods / this.fMinHz));
+            if (this.windowLength && Math.abs(length - this.windowLength) <= 0.1 * this.windowLength) return;
+            this.windowLength = length;
+            this._timeDomain = new Float32Array(length);
+            this._window = this._createHannWindow(length);
+            this._fft = null;
+            this._ensureFft();
+        }
+
+        _ensureFft() {
+            if (this._fft) return;
+            try {
+                const FFTImpl = this._FFT === false ? null : this._FFT || resolveFFT();
+                if (!FFTImpl) {
+                    if (!this._fftWarned) console.warn('FFTCadenceEstimator: FFT (fft.js) no está cargado; se usa autocorrelación.');
+                    this._fftWarned = true;
+                    this._fftAvailable = false;
+                    return;
+                }
+                let size = 2;
+                while (size < this.windowLength * this.zeroPadding) size *= 2;
+                this._fft = new FFTImpl(size);
+                this._out = this._fft.createComplexArray();
+                this._padded = new Float32Array(size);
+                this._fftAvailable = true;
+            } catch (error) {
+                if (!this._fftWarned) console.error('Error inicializando FFT:', error);
+                this._fftWarned = true;
+                this._fftAvailable = false;
+            }
+        }
+
+        _createHannWindow(n) {
+            const w = new Float32Array(n);
+            if (n <= 1) return w;
+            for (let i = 0; i < n; i++) {
+                w[i] = 0.5 * (1 - Math.cos((2 * Math.PI * i) / (n - 1)));
+            }
+            return w;
+        }
+
+        // Frecuencia supuesta para muestras sin timestamp; con timestamps se re-estima sola
+        setSampleRate(sampleRateHz) {
+            this.sampleRateHz = Math.max(1, sampleRateHz);
+        }
+
+        reset() {
+            this._times = [];
+            this._values = [];
+            this._intervals = [];
+            this._samplesSeen = 0;
+            this.lastFrequencyHz = 0;
+            this.lastPower = 0;
+            this.lastConfidence = 0;
+            this.lastConfident = false;
+            this._hasConfident = false;
+        }
+
+        // Mediana de los intervalos recientes: robusta frente al jitter y a eventos sueltos
+        _estimateSampleRate() {
+            if (this._intervals.length === 0) return this.sampleRateHz;
+            const sorted = [...this._intervals].sort((a, b) => a - b);
+            return Math.max(1, 1000 / sorted[Math.floor(sorted.length / 2)]);
+        }
+
+        // Rellena _timeDomain con la señal interpolada en `windowLength` puntos equiespaciados que
+        // terminan en la última muestra. Devuelve false si el historial aún no cubre la ventana.
+        _resample(stepMs) {
+            const times = this._times;
+            const values = this._values;
+            const n = this.windowLength;
+            const end = times[times.length - 1];
+            const start = end - (n - 1) * stepMs;
+            if (times[0] > start) return false;
+
+            let j = 0;
+            for (let i = 0; i < n; i++) {
+                const t = start + i * stepMs;
+                while (j < times.length - 2 && times[j + 1] < t) j++;
+                const span = times[j + 1] - times[j];
+                const f = span > 0 ? Math.min(1, Math.max(0, (t - times[j]) / span)) : 0;
+                this._timeDomain[i] = values[j] + f * (values[j + 1] - values[j]);
+            }
+
+            // Descartar lo que ya no entra en la ventana (con margen para cambios de frecuencia)
+            const keepFrom = end - 2 * (n - 1) * stepMs;
+            let drop = 0;
+            while (drop < times.length - 2 && times[drop + 1] < keepFrom) drop++;
+            if (drop > 0) {
+                times.splice(0, drop);
+                values.splice(0, drop);
+            }
+            return true;
+        }
+
+        addSample(value, timestamp = null) {
+            // Reintentar por si fft.js terminó de cargar; mientras tanto, autocorrelación
+            if (!this._fftAvailable) this._ensureFft();
+
+            const last = this._times.length ? this._times[this._times.length - 1] : null;
+            if (timestamp === null || !Number.isFinite(timestamp)) {
+                timestamp = last === null ? 0 : last + 1000 / this.sampleRateHz;
+            }
+            if (last !== null) {
+                const dt = timestamp - last;
+                if (dt <= 0) return null;
+                if (dt > this.maxGapMs) {
+                    this._times = [];
+                    this._values = [];
+                    this._intervals = [];
+                } else {
+                    this._intervals.push(dt);
+                    if (this._intervals.length > this.rateWindow) this._intervals.shift();
+                }
+            }
+            this._times.push(timestamp);
+            this._values.push(value);
+
+            this._samplesSeen++;
+            if (this._times.length < 2) return null;
+            if (this._samplesSeen % this.updateEvery !== 0) return null;
+
+            this.sampleRateHz = this._estimateSampleRate();
+            this._configureWindow(this.sampleRateHz);
+            if (!this._resample(1000 / this.sampleRateHz)) return null;
+
+            // Quitar DC
+            const n = this.windowLength;
+            let mean = 0;
+            for (let i = 0; i < n; i++) mean += this._timeDomain[i];
+            mean /= n;
+            for (let i = 0; i < n; i++) this._timeDomain[i] -= mean;
+
+            const estimate = this._fftAvailable ? this._estimateFFT() : this._estimateAutocorrelation();
+            if (!estimate) return null;
+
+            // Las estimaciones poco fiables no mueven el suavizado salvo que aún no haya ninguna fiable
+            const confident = estimate.confidence >= this.minConfidence;
+            if (confident) {
+                this.lastFrequencyHz = this._hasConfident
+                    ? this.smoothingAlpha * estimate.frequencyHz + (1 - this.smoothingAlpha) * this.lastFrequencyHz
+                    : estimate.frequencyHz;
+                this._hasConfident = true;
+            } else if (!this._hasConfident) {
+                this.lastFrequencyHz = estimate.frequencyHz;
+            }
+            this.lastPower = estimate.power;
+            this.lastConfidence = estimate.confidence;
+            this.lastConfident = confident;
+            this.method = estimate.method;
+
+            const result = {
+                frequencyHz: this.lastFrequencyHz,
+                rawFrequencyHz: estimate.frequencyHz,
+                power: estimate.power,
+                confidence: estimate.confidence,
+                confident,
+                method: estimate.method
+            };
+            this.emit('cadence', result);
+            return result;
+        }
+
+        _estimateFFT() {
+            const size = this._padded.length;
+            this._padded.fill(0);
+            for (let i = 0; i < this.windowLength; i++) this._padded[i] = this._timeDomain[i] * this._window[i];
+            this._fft.realTransform(this._out, this._padded);
+
+            const binHz = this.sampleRateHz / size;
+            // Bins de la FFT rellenada por cada bin de la ventana original
+            const lobe = Math.max(1, Math.round(size / this.windowLength));
+            const kMin = Math.max(1, Math.ceil(this.fMinHz / binHz));
+            const kMax = Math.min(Math.floor(size / 2) - 1, Math.floor(this.fMaxHz / binHz));
+            if (kMax <= kMin) return null;
+
+            const mag2 = k => this._out[2 * k] * this._out[2 * k] + this._out[2 * k + 1] * this._out[2 * k + 1];
+            let bestK = kMin;
+            for (let k = kMin; k <= kMax; k++) {
+                if (mag2(k) > mag2(bestK)) bestK = k;
+            }
+            if (mag2(bestK) <= 0) return null;
+
+            // Máximo local más alto a ±1 bin original de `center`
+            const localPeak = (center) => {
+                let best = null;
+                const from = Math.max(kMin, Math.round(center) - lobe);
+                const to = Math.min(kMax, Math.round(center) + lobe);
+                for (let k = from; k <= to; k++) {
+                    if (k > kMin && k < kMax && mag2(k) >= mag2(k - 1) && mag2(k) >= mag2(k + 1) && (best === null || mag2(k) > mag2(best))) best = k;
+                }
+                return best;
+            };
+
+            // ¿El pico es un armónico? Se prueba primero el divisor mayor (fundamental más bajo)
+            let fundamentalK = bestK;
+            for (const divisor of [3, 2]) {
+                const candidate = localPeak(bestK / divisor);
+                if (candidate !== null && Math.sqrt(mag2(candidate) / mag2(bestK)) >= this.subharmonicRatio) {
+                    fundamentalK = candidate;
+                    break;
+                }
+            }
+
+            // Interpolación parabólica sobre log|X|² alrededor del pico
+            let offset = 0;
+            if (fundamentalK > kMin && fundamentalK < kMax) {
+                const a = Math.log(mag2(fundamentalK - 1) + 1e-12);
+                const b = Math.log(mag2(fundamentalK) + 1e-12);
+                const c = Math.log(mag2(fundamentalK + 1) + 1e-12);
+                const denominator = a - 2 * b + c;
+                if (denominator < 0) offset = Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denominator));
+            }
+            const frequencyHz = (fundamentalK + offset) * binHz;
+
+            // Suelo local: mediana de ±20 bins originales de la banda alrededor del pico más alto, sin
+            // los lóbulos de ningún armónico del fundamental (una rep real es un peine de armónicos).
+            // El ruido filtrado no es plano, así que el pico se compara con su entorno y no con toda la
+            // banda. Con un fundamental tan bajo que sus lóbulos tapan casi todo el entorno, se quita
+            // sólo el del pico: con tan pocos bins la mediana no sería estable.
+            const fundamental = fundamentalK + offset;
+            const offComb = [];
+            const offPeak = [];
+            for (let k = Math.max(kMin, bestK - 20 * lobe); k <= Math.min(size / 2 - 1, bestK + 20 * lobe); k++) {
+                if (Math.abs(k - bestK) < 1.5 * lobe) continue;
+                offPeak.push(mag2(k));
+                const harmonic = Math.max(1, Math.round(k / fundamental));
+                if (Math.abs(k - harmonic * fundamental) >= 1.5 * lobe) offComb.push(mag2(k));
+            }
+            const floor = offComb.length >= 6 * lobe ? offComb : offPeak;
+            if (floor.length === 0) return null;
+            floor.sort((a, b) => a - b);
+            const floorMag2 = floor[Math.floor(floor.length / 2)];
+            const peakDb = floorMag2 > 0 ? 10 * Math.log10(mag2(bestK) / floorMag2) : Infinity;
+
+            return {
+                frequencyHz,
+                power: mag2(fundamentalK),
+                confidence: scaleConfidence(peakDb, CADENCE_CONFIDENCE_SCALE.fft),
+                method: 'fft'
+            };
+        }
+
+        // Periodo = máximo de la autocorrelación normalizada; si en su mitad o su tercio hay otro máximo
+        // que llega al 90%, el mayor era un múltiplo del periodo (correlaciona casi igual)
+        _estimateAutocorrelation() {
+            const x = this._timeDomain;
+            const n = this.windowLength;
+            const minLag = Math.max(1, Math.floor(this.sampleRateHz / this.fMaxHz));
+            const maxLag = Math.min(Math.floor(n * 0.75), Math.ceil(this.sampleRateHz / this.fMinHz));
+            if (maxLag <= minLag + 1) return null;
+
+            const r = new Float32Array(maxLag + 2);
+            for (let lag = 1; lag <= maxLag + 1; lag++) {
+                let sum = 0;
+                let energyA = 0;
+                let energyB = 0;
+                for (let i = 0; i + lag < n; i++) {
+                    sum += x[i] * x[i + lag];
+                    energyA += x[i] * x[i];
+                    energyB += x[i + lag] * x[i + lag];
+                }
+                r[lag] = energyA > 0 && energyB > 0 ? sum / Math.sqrt(energyA * energyB) : 0;
+            }
+
+            const peaks = [];
+            for (let lag = minLag; lag <= maxLag; lag++) {
+                if (r[lag] > 0 && r[lag] >= r[lag - 1] && r[lag] >= r[lag + 1]) peaks.push(lag);
+            }
+            if (peaks.length === 0) return null;
+            let lag = peaks.reduce((a, b) => (r[b] > r[a] ? b : a));
+            for (const divisor of [3, 2]) {
+                const shorter = peaks.find(l => Math.abs(l - lag / divisor) <= 2 && r[l] >= 0.9 * r[lag]);
+                if (shorter !== undefined) {
+                    lag = shorter;
+                    break;
+                }
+            }
+
+            const denominator = r[lag - 1] - 2 * r[lag] + r[lag + 1];
+            const offset = denominator < 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (r[lag - 1] - r[lag + 1]) / denominator)) : 0;
+
+            // Error típico de r bajo la hipótesis de ruido (Bartlett): la correlación a retardos más
+            // cortos que el periodo mínimo recoge el coloreado del filtro y reduce las muestras efectivas
+            let shortLagSum = 0;
+            for (let i = 1; i < minLag; i++) shortLagSum += r[i] * r[i];
+            const standardError = Math.sqrt((1 + 2 * shortLagSum) / (n - lag));
+            return {
+                frequencyHz: this.sampleRateHz / (lag + offset),
+                power: r[lag],
+                confidence: scaleConfidence(r[lag] / standardError, CADENCE_CONFIDENCE_SCALE.autocorrelation),
+                method: 'autocorrelation'
+            };
+        }
+    }
+
+    // Calibrador automático de umbrales
+    // Eventos: 'calibrationprogress' con { repCount, targetReps, progress } por cada rep válida y
+    // 'calibrationcomplete' con el resultado de calculateThresholds().
+    class AutoCalibrator extends EventEmitter {
+        constructor() {
+            super();
+            this.repsData = [];
+            this.isCalibrating = false;
+            this.repCount = 0;
+            this.targetReps = CALIBRATION_TARGET_REPS;
+            this.currentRepData = {
+                maxZ: -Infinity,
+                minZ: Infinity,
+                zValues: [],
+                startTime: null
+            };
+            this.state = 'IDLE'; // IDLE, MOVING, COOLDOWN
+            this.lastTransitionTime = 0;
+        }
+
+        // `baseThresholds` aporta los valores que la calibración no mide (duraciones, estabilidad)
+        startCalibration(baseThresholds = {}) {
+            this.baseThresholds = baseThresholds;
+            this.isCalibrating = true;
+            this.repsData = [];
+            this.repCount = 0;
+            this.currentRepData = {
+                maxZ: -Infinity,
+                minZ: Infinity,
+                zValues: [],
+                startTime: null
+            };
+            this.state = 'IDLE';
+            this.lastTransitionTime = Date.now();
+        }
+
+        processValue(z, timestamp) {
+            if (!this.isCalibrating) return null;
+
+            const absZ = Math.abs(z);
+
+            switch (this.state) {
+                case 'IDLE':
+                    // Detectar inicio de movimiento significativo
+                    if (absZ > 0.6) {
+                        this.state = 'MOVING';
+                        this.currentRepData = {
+                            maxZ: z,
+                            minZ: z,
+                            zValues: [z],
+                            startTime: timestamp
+                        };
+                    }
+                    break;
+
+                case 'MOVING':
+                    // Acumular datos del movimiento
+                    this.currentRepData.zValues.push(z);
+                    this.currentRepData.maxZ = Math.max(this.currentRepData.maxZ, z);
+                    this.currentRepData.minZ = Math.min(this.currentRepData.minZ, z);
+
+                    // Detectar fin de movimiento (vuelta a estable)
+                    if (absZ < 0.3 && this.currentRepData.zValues.length > 15) {
+                        const duration = timestamp - this.currentRepData.startTime;
+                        const amplitude = this.currentRepData.maxZ - this.currentRepData.minZ;
+
+                        // Validar que sea una repetición válida
+                        if (duration >= 500 && duration <= 5000 && amplitude >= 0.8) {
+                            this.repsData.push({
+                                maxZ: this.currentRepData.maxZ,
+                                minZ: this.currentRepData.minZ,
+                                amplitude: amplitude,
+                                duration: duration,
+                                variance: this.calculateVariance(this.currentRepData.zValues)
+                            });
+
+                            this.repCount++;
+                            console.log(`Calibration rep ${this.repCount}/${this.targetReps} detected - Amplitude: ${amplitude.toFixed(2)}`);
+                            this.emit('calibrationprogress', {
+                                repCount: this.repCount,
+                                targetReps: this.targetReps,
+                                progress: this.getProgress()
+                            });
+
+                            if (this.repCount >= this.targetReps) {
+                                return this.calculateThresholds();
+                            }
+                        }
+
+                        this.state = 'COOLDOWN';
+                        this.lastTransitionTime = timestamp;
+                    }
+                    break;
+
+                case 'COOLDOWN':
+                    // Esperar 500ms antes de detectar otra rep
+                    if (timestamp - this.lastTransitionTime > 500) {
+                        this.state = 'IDLE';
+                    }
+                    break;
+            }
+
+            return { repCount: this.repCount, targetReps: this.targetReps };
+        }
+
+        calculateVariance(values) {
+            if (values.length === 0) return 0;
+            const mean = values.reduce((a, b) => a + b, 0) / values.length;
+            const squaredDiffs = values.map(v => Math.pow(v - mean, 2));
+            return squaredDiffs.reduce((a, b) => a + b, 0) / values.length;
+        }
+
+        calculateThresholds() {
+            if (this.repsData.length === 0) return null;
+
+            // Calcular estadísticas
+            const maxZValues = this.repsData.map(r => r.maxZ);
+            const minZValues = this.repsData.map(r => r.minZ);
+            const amplitudes = this.repsData.map(r => r.amplitude);
+
+            const avgMaxZ = maxZValues.reduce((a, b) => a + b, 0) / maxZValues.length;
+            const avgMinZ = minZValues.reduce((a, b) => a + b, 0) / minZValues.length;
+            const avgAmplitude = amplitudes.reduce((a, b) => a + b, 0) / amplitudes.length;
+
+            // Calcular desviación estándar
+            const stdMaxZ = Math.sqrt(
+                maxZValues.reduce((sum, val) => sum + Math.pow(val - avgMaxZ, 2), 0) / maxZValues.length
+            );
+            const stdMinZ = Math.sqrt(
+                minZValues.reduce((sum, val) => sum + Math.pow(val - avgMinZ, 2), 0) / minZValues.length
+            );
+
+            // Crear nuevos umbrales basados en estadísticas (más conservadores)
+            const base = this.baseThresholds || {};
+            const thresholds = {
+                upwardAcceleration: Math.max(0.4, avgMaxZ - stdMaxZ * 0.8),
+                downwardAcceleration: Math.min(-0.3, avgMinZ + stdMinZ * 0.8),
+                minAmplitude: avgAmplitude * 0.6,
+                minRepDuration: base.minRepDuration ?? 700,
+                maxRepDuration: base.maxRepDuration ?? 5000,
+                stableThreshold: base.stableThreshold ?? 0.25
+            };
+
+            this.isCalibrating = false;
+
+            console.log('Calibration completed:', thresholds);
+
+            const result = {
+                success: true,
+                thresholds: thresholds,
+                stats: {
+                    repsDetected: this.repsData.length,
+                    avgMaxZ,
+                    avgMinZ,
+                    avgAmplitude
+                }
+            };
+            this.emit('calibrationcomplete', result);
+            return result;
+        }
+
+        stopCalibration() {
+            this.isCalibrating = false;
+        }
+
+        getProgress() {
+            return this.targetReps > 0 ? (this.repCount / this.targetReps) * 100 : 0;
+        }
+    }
+
+    // Modelo de calidad por defecto (pensado para dominadas). Penaliza la desviación de la
+    // duración ideal, un recorrido corto y una señal irregular (varianza alta). El recorrido se
+    // mide con el ROM relativo a la serie en cuanto se conoce; hasta entonces, con el rango de
+    // aceleración.
+    const DEFAULT_QUALITY_MODEL = {
+        idealDuration: 2000,
+        durationTolerance: 500,   // -8 más allá de esta desviación (ms)
+        durationLimit: 1000,      // -15 más allá de esta desviación (ms)
+        goodRomRatio: 0.9,        // -10 por debajo de esta fracción del ROM medio de la serie (-20 si es parcial)
+        goodRange: 1.5,           // -10 por debajo de este rango, sin ROM (m/s²)
+        minRange: 1.0,            // -20 por debajo de este rango, sin ROM (m/s²)
+        goodVariance: 0.8,        // -8 por encima de esta varianza
+        maxVariance: 1.5          // -15 por encima de esta varianza
+    };
+
+    // Detector de repeticiones con máquina de estados
+    // Eventos: 'phasechange' con { from, to, phase, timestamp } y 'rep' con el registro de cada rep.
+    // El ROM de una rep se conoce después de emitirla (ver _trackRest): llega en `romReps` del
+    // resultado de processAcceleration() o de flushRangeOfMotion(), con `romCm` ya rellenado.
+    class RepDetector extends EventEmitter {
+        constructor(customThresholds = null, qualityModel = null) {
+            super();
+            this.state = 'IDLE';
+            this.repCount = 0;
+            this.currentRepStartTime = null;
+            this.currentRepData = this.createRepData();
+            this.phaseStartTime = null;
+            this.reps = [];
+            this.lastRep = null;
+            this.velocity = 0;
+            this.lastZ = 0;
+            this.lastSampleTime = null;
+            this.maxIntegrationGap = 250; // ms; huecos mayores no se integran
+            this.restMs = 300;            // ms quietos (ver _trackRest) que cuentan como reposo para el ROM
+            this._resetRangeOfMotion();
+
+            const defaultThresholds = {
+                upwardAcceleration: 0.7,
+                downwardAcceleration: -0.5,
+                minRepDuration: 700,
+                maxRepDuration: 5000,
+                stableThreshold: 0.25,
+                minAmplitude: 0.9
+            };
+
+            this.thresholds = customThresholds ? { ...defaultThresholds, ...customThresholds } : defaultThresholds;
+            this.qualityModel = { ...DEFAULT_QUALITY_MODEL, ...qualityModel };
+            this.lastQuality = 0;
+            this.lastRepTime = 0;
+            this.cooldownPeriod = 400;
+        }
+
+        setThresholds(thresholds) {
+            this.thresholds = { ...this.thresholds, ...thresholds };
+            console.log('Thresholds updated:', this.thresholds);
+        }
+
+        createRepData(z = null) {
+            return {
+                maxZ: z === null ? -Infinity : z,
+                minZ: z === null ? Infinity : z,
+                zValues: z === null ? [] : [z],
+                romStart: null,
+                duration: 0,
+                phaseDurations: { PULLING_UP: 0, AT_TOP: 0, LOWERING: 0 },
+                concentric: { time: 0, distance: 0, peakVelocity: 0 }
+            };
+        }
+
+        // Integra la aceleración vertical (m/s²) en velocidad (m/s). En IDLE y AT_TOP se considera
+        // que no hay movimiento y la velocidad se fuerza a cero (zero-velocity update), lo que
+        // corta la deriva de la integración en cada rep.
+        integrateVelocity(z, timestamp) {
+            const dt = this.lastSampleTime === null ? 0 : (timestamp - this.lastSampleTime) / 1000;
+            this.lastSampleTime = timestamp;
+
+            if (this.state === 'IDLE' || this.state === 'AT_TOP') {
+                this.velocity = 0;
+            } else if (dt > 0 && dt * 1000 <= this.maxIntegrationGap) {
+                this.velocity += (z + this.lastZ) / 2 * dt;
+            }
+            this.lastZ = z;
+
+            if (this.state === 'PULLING_UP' && dt > 0) {
+                const concentric = this.currentRepData.concentric;
+                concentric.time += dt;
+                concentric.distance += this.velocity * dt;
+                concentric.peakVelocity = Math.max(concentric.peakVelocity, this.velocity);
+            }
+        }
+
+        // Cambia de estado acumulando el tiempo pasado en la fase que se abandona
+        transition(state, timestamp) {
+            const phases = this.currentRepData.phaseDurations;
+            if (this.state in phases && this.phaseStartTime !== null) {
+                phases[this.state] += timestamp - this.phaseStartTime;
+            }
+            const from = this.state;
+            this.state = state;
+            this.phaseStartTime = timestamp;
+            if (from !== state) this.emit('phasechange', { from, to: state, phase: this.getPhaseText(), timestamp });
+        }
+
+        processAcceleration(z, timestamp) {
+            let completedRep = null;
+            const romReps = [];
+
+            if (this.state !== 'IDLE') {
+                this.currentRepData.zValues.push(z);
+                this.currentRepData.maxZ = Math.max(this.currentRepData.maxZ, z);
+                this.currentRepData.minZ = Math.min(this.currentRepData.minZ, z);
+            }
+
+            switch (this.state) {
+                case 'IDLE':
+                    if (z > this.thresholds.upwardAcceleration) {
+                        this.currentRepStartTime = timestamp;
+                        this.currentRepData = this.createRepData(z);
+                        // Sin reposo desde la rep anterior (reps encadenadas) su ROM se cierra aquí
+                        romReps.push(...this._closeRangeOfMotion(timestamp));
+                        this.currentRepData.romStart = this._restPoint ?? timestamp;
+                        this.transition('PULLING_UP', timestamp);
+                    }
+                    break;
+
+                case 'PULLING_UP':
+                    if (z < this.thresholds.stableThreshold && z > this.thresholds.downwardAcceleration) {
+                        this.transition('AT_TOP', timestamp);
+                    }
+                    break;
+
+                case 'AT_TOP':
+                    if (z < this.thresholds.downwardAcceleration) {
+                        this.transition('LOWERING', timestamp);
+                    } else if (z > this.thresholds.upwardAcceleration) {
+                        this.transition('PULLING_UP', timestamp);
+                    }
+                    break;
+
+                case 'LOWERING':
+                    if (z > this.thresholds.downwardAcceleration && z < this.thresholds.upwardAcceleration) {
+                        this.currentRepData.duration = timestamp - this.currentRepStartTime;
+                        const timeSinceLastRep = timestamp - this.lastRepTime;
+                        const amplitude = this.currentRepData.maxZ - this.currentRepData.minZ;
+                        this.transition('IDLE', timestamp);
+
+                        if (this.currentRepData.duration >= this.thresholds.minRepDuration &&
+                            this.currentRepData.duration <= this.thresholds.maxRepDuration &&
+                            amplitude >= this.thresholds.minAmplitude &&
+                            timeSinceLastRep >= this.cooldownPeriod) {
+                            completedRep = this.completeRep(timestamp);
+                        }
+                        this.currentRepData = this.createRepData();
+                    }
+                    break;
+            }
+
+            this.integrateVelocity(z, timestamp);
+            romReps.push(...this._trackRest(z, timestamp));
+
+            return {
+                state: this.state,
+                repCount: this.repCount,
+                quality: this.lastQuality,
+                velocity: this.velocity,
+                rep: completedRep,
+                romReps
+            };
+        }
+
+        _resetRangeOfMotion() {
+            this._romTimes = [];
+            this._romValues = [];
+            this._stillSince = null;
+            this._restPoint = null;  // última muestra de un reposo confirmado
+            this._pendingRom = [];   // { rep, start } de reps completadas sin ROM todavía
+        }
+
+        // Reposo = `restMs` seguidos con |z| bajo stableThreshold y una variación menor que ese mismo
+        // umbral: el único punto donde la velocidad es nula de verdad. Lo segundo descarta el paso
+        // por cero de la aceleración a mitad de una bajada lenta, que también queda bajo el umbral
+        // un rato pero como rampa, no plano. La transición LOWERING → IDLE ocurre a mitad de la bajada (con la
+        // velocidad cerca de su máximo) y la rep siguiente puede arrancar con la deceleración de
+        // esa bajada, así que el ROM de cada rep se integra desde el último reposo anterior a su
+        // inicio hasta el primero posterior a su final. Devuelve las reps cuyo ROM se cierra.
+        _trackRest(z, timestamp) {
+            this._romTimes.push(timestamp);
+            this._romValues.push(z);
+
+            let closed = [];
+            if (Math.abs(z) < this.thresholds.stableThreshold) {
+                if (this._stillSince === null) this._stillSince = timestamp;
+                if (timestamp - this._stillSince >= this.restMs && this._isFlat(timestamp)) {
+                    closed = this._closeRangeOfMotion(this._stillSince);
+                    this._restPoint = timestamp;
+                }
+            } else {
+                this._stillSince = null;
+            }
+
+            // Conservar sólo lo que aún puede hacer falta, con un tope por si nunca hay reposo
+            let keepFrom = this._restPoint ?? timestamp;
+            if (this.state !== 'IDLE' && this.currentRepData.romStart !== null) keepFrom = Math.min(keepFrom, this.currentRepData.romStart);
+            for (const pending of this._pendingRom) keepFrom = Math.min(keepFrom, pending.start);
+            keepFrom = Math.max(keepFrom, timestamp - 3 * this.thresholds.maxRepDuration);
+            let drop = 0;
+            while (drop < this._romTimes.length - 1 && this._romTimes[drop] < keepFrom) drop++;
+            if (drop > 0) {
+                this._romTimes.splice(0, drop);
+                this._romValues.splice(0, drop);
+            }
+            return closed;
+        }
+
+        _isFlat(timestamp) {
+            let min = Infinity;
+            let max = -Infinity;
+            for (let i = this._romTimes.length - 1; i >= 0 && this._romTimes[i] >= timestamp - this.restMs; i--) {
+                min = Math.min(min, this._romValues[i]);
+                max = Math.max(max, this._romValues[i]);
+            }
+            return max - min < this.thresholds.stableThreshold;
+        }
+
+        // Calcula el ROM de las reps pendientes con la señal hasta `end`
+        _closeRangeOfMotion(end) {
+            const closed = [];
+            for (const { rep, start } of this._pendingRom) {
+                const from = this._romTimes.findIndex(t => t >= start);
+                let to = this._romTimes.length;
+                while (to > 0 && this._romTimes[to - 1] > end) to--;
+                rep.romCm = from >= 0 && to > from
+                    ? this.estimateRangeOfMotion(this._romTimes.slice(from, to), this._romValues.slice(from, to))
+                    : 0;
+                closed.push(rep);
+            }
+            this._pendingRom = [];
+            return closed;
+        }
+
+        // Cierra el ROM de las reps que esperaban su reposo final (al detener la fuente)
+        flushRangeOfMotion() {
+            return this._closeRangeOfMotion(this._romTimes.length ? this._romTimes[this._romTimes.length - 1] : 0);
+        }
+
+        // Registra la rep completada con sus tiempos por fase y estadísticas de la señal
+        completeRep(timestamp) {
+            const data = this.currentRepData;
+            this.repCount++;
+            this.lastRepTime = timestamp;
+
+            const rep = {
+                index: this.repCount,
+                startTime: this.currentRepStartTime,
+                endTime: timestamp,
+                duration: data.duration,
+                phaseDurations: { ...data.phaseDurations },
+                peakUp: data.maxZ,
+                peakDown: data.minZ,
+                amplitude: data.maxZ - data.minZ,
+                variance: data.zValues.length > 0 ? this.calculateVariance(data.zValues) : 0,
+                quality: null,
+                // Velocidad concéntrica (fase PULLING_UP): media ponderada en el tiempo y pico
+                meanConcentricVelocity: data.concentric.time > 0 ? data.concentric.distance / data.concentric.time : 0,
+                peakConcentricVelocity: data.concentric.peakVelocity,
+                romCm: null,
+                sampleCount: data.zValues.length
+            };
+            rep.quality = this.lastQuality = this.scoreRep(rep);
+            console.log(`Rep ${this.repCount} completed - Quality: ${this.lastQuality}%`);
+            this._pendingRom.push({ rep, start: data.romStart ?? this.currentRepStartTime });
+            this.reps.push(rep);
+            this.lastRep = rep;
+            this.emit('rep', rep);
+            return rep;
+        }
+
+        // Desplazamiento vertical (cm) por doble integración entre los dos reposos que rodean la rep
+        // (ver _trackRest). Se supone velocidad nula al empezar y al terminar: la velocidad residual
+        // al final es deriva y se resta linealmente antes de integrar la posición.
+        estimateRangeOfMotion(timestamps, values) {
+            const n = Math.min(timestamps.length, values.length);
+            if (n < 3) return 0;
+
+            const t0 = timestamps[0];
+            const span = (timestamps[n - 1] - t0) / 1000;
+            if (span <= 0) return 0;
+
+            const velocity = new Array(n).fill(0);
+            for (let i = 1; i < n; i++) {
+                const dt = (timestamps[i] - timestamps[i - 1]) / 1000;
+                velocity[i] = velocity[i - 1] + (values[i] + values[i - 1]) / 2 * dt;
+            }
+            const drift = velocity[n - 1] / span;
+
+            let position = 0;
+            let minPosition = 0;
+            let maxPosition = 0;
+            let prevVelocity = 0;
+            for (let i = 1; i < n; i++) {
+                const dt = (timestamps[i] - timestamps[i - 1]) / 1000;
+                const v = velocity[i] - drift * (timestamps[i] - t0) / 1000;
+                position += (v + prevVelocity) / 2 * dt;
+                prevVelocity = v;
+                minPosition = Math.min(minPosition, position);
+                maxPosition = Math.max(maxPosition, position);
+            }
+            return (maxPosition - minPosition) * 100;
+        }
+
+        setQualityModel(model) {
+            this.qualityModel = { ...DEFAULT_QUALITY_MODEL, ...model };
+        }
+
+        // Calidad 0-100 de una rep con el modelo activo. WorkoutSession la vuelve a pedir cuando
+        // la rep recibe `romConsistency` y `partial`, que sustituyen al rango de aceleración.
+        scoreRep(rep) {
+            const model = this.qualityModel;
+            let quality = 100;
+            const durationDiff = Math.abs(rep.duration - model.idealDuration);
+
+            if (durationDiff > model.durationLimit) quality -= 15;
+            else if (durationDiff > model.durationTolerance) quality -= 8;
+
+            if (Number.isFinite(rep.romConsistency)) {
+                if (rep.partial) quality -= 20;
+                else if (rep.romConsistency < model.goodRomRatio) quality -= 10;
+            } else if (rep.amplitude < model.minRange) {
+                quality -= 20;
+            } else if (rep.amplitude < model.goodRange) {
+                quality -= 10;
+            }
+
+            if (rep.sampleCount > 2) {
+                if (rep.variance > model.maxVariance) quality -= 15;
+                else if (rep.variance > model.goodVariance) quality -= 8;
+            }
+
+            return Math.max(0, Math.min(100, quality));
+        }
+
+        calculateVariance(values) {
+            const mean = values.reduce((a, b) => a + b, 0) / values.length;
+            const squaredDiffs = values.map(v => Math.pow(v - mean, 2));
+            return squaredDiffs.reduce((a, b) => a + b, 0) / values.length;
+        }
+
+        getPhaseText() {
+            const phases = {
+                'IDLE': 'Listo',
+                'PULLING_UP': 'Subiendo',
+                'AT_TOP': 'Arriba',
+                'LOWERING': 'Bajando'
+            };
+            return phases[this.state] || 'Listo';
+        }
+
+        reset() {
+            this.state = 'IDLE';
+            this.repCount = 0;
+            this.currentRepStartTime = null;
+            this.currentRepData = this.createRepData();
+            this.phaseStartTime = null;
+            this.reps = [];
+            this.lastRep = null;
+            this.velocity = 0;
+            this.lastZ = 0;
+            this.lastSampleTime = null;
+            this.lastQuality = 0;
+            this.lastRepTime = 0;
+            this._resetRangeOfMotion();
+        }
+    }
+
+    // Tempo prescrito en notación excéntrica-pausa abajo-concéntrica-pausa arriba ("3-1-1-0" o
+    // "3110"), en segundos. "X" (explosivo) deja esa fase sin objetivo. Devuelve null si no es válido.
+    function parseTempo(text) {
+        if (typeof text !== 'string') return null;
+        const clean = text.trim().toUpperCase();
+        if (!clean) return null;
+        const parts = /[-\s\/]/.test(clean) ? clean.split(/[-\s\/]+/) : clean.split('');
+        if (parts.length < 3 || parts.length > 4) return null;
+        const values = [];
+        for (const part of parts) {
+            if (part === 'X') values.push(null);
+            else if (/^\d+(\.\d+)?$/.test(part)) values.push(parseFloat(part));
+            else return null;
+        }
+        return {
+            eccentric: values[0],
+            bottomPause: values[1],
+            concentric: values[2],
+            topPause: values.length === 4 ? values[3] : null
+        };
+    }
+
+    // Sesión de entrenamiento dividida en series. Una serie empieza con su primera rep y termina
+    // tras `stillnessMs` de quietud (señal bajo `stillThreshold`) o al llamar a endSet(); entre
+    // series se mide el descanso. No se exige que el detector esté en IDLE: tras una rep puede
+    // quedarse en AT_TOP si la señal vuelve a reposo sin pasar por el umbral de bajada.
+    // Cada rep se compara con el ROM medio de su serie; por debajo de `partialRomRatio` se
+    // marca como parcial. El ROM llega después de la rep (en `romReps`) y entonces se recalcula la
+    // serie, se vuelve a puntuar cada rep con `scoreRep` (p. ej. RepDetector.scoreRep, que
+    // penaliza las parciales) y se emite 'rom'. La fatiga se mide contra las primeras
+    // `fatigueBaselineReps` reps de la serie; al superar `fatigueCutoff` (fracción de pérdida,
+    // null = desactivado) se emite 'fatigue'.
+    // Con `tempo` (ver parseTempo) cada rep se compara con la prescripción: LOWERING es la
+    // excéntrica, PULLING_UP la concéntrica, AT_TOP la pausa arriba y el reposo desde la rep
+    // anterior de la misma serie la pausa abajo.
+    class WorkoutSession {
+        constructor({
+            stillnessMs = 8000,
+            stillThreshold = 0.3,
+            targetReps = null,
+            partialRomRatio = 0.8,
+            fatigueCutoff = 0.2,
+            fatigueBaselineReps = 2,
+            tempo = null,
+            scoreRep = null
+        } = {}) {
+            this.configure({ stillnessMs, stillThreshold, targetReps, partialRomRatio, fatigueCutoff, fatigueBaselineReps, tempo, scoreRep });
+            this.reset();
+        }
+
+        configure(options) {
+            const keys = ['stillnessMs', 'stillThreshold', 'targetReps', 'partialRomRatio', 'fatigueCutoff', 'fatigueBaselineReps', 'tempo', 'scoreRep'];
+            for (const key of keys) {
+                if (options[key] !== undefined) this[key] = options[key];
+            }
+        }
+
+        reset() {
+            this.sets = [];
+            this.state = 'WAITING'; // WAITING, ACTIVE, RESTING
+            this.current = null;
+            this._qualities = [];
+            this._setReps = [];
+            this._tempoScores = [];
+            this._stillSince = null;
+            this._lastRepCount = 0;
+            this._lastSetEnd = null;
+        }
+
+        // Procesa una muestra y devuelve los eventos producidos: setstart, rep, target, fatigue, rom,
+        // setend. `rep` es el registro de RepDetector si la muestra completó una rep y `romReps` las
+        // reps cuyo ROM cerró
+        process({ value, timestamp, repCount, quality = null, repStartTime = null, rep = null, romReps = [] }) {
+            const events = [];
+
+            if (repCount > this._lastRepCount) {
+                const newReps = repCount - this._lastRepCount;
+                this._lastRepCount = repCount;
+                if (this.state !== 'ACTIVE') events.push(this._startSet(repStartTime ?? timestamp));
+
+                this.current.reps += newReps;
+                this.current.lastRepTime = timestamp;
+                if (quality !== null && quality !== undefined) this._qualities.push(quality);
+                const fatigueEvent = rep ? this._addRep(rep) : null;
+                events.push({ type: 'rep', set: this.current, rep });
+                if (this.current.targetReps && this.current.reps === this.current.targetReps) {
+                    events.push({ type: 'target', set: this.current });
+                }
+                if (fatigueEvent) events.push(fatigueEvent);
+            }
+            events.push(...this.updateRangeOfMotion(romReps));
+
+            if (this.state === 'ACTIVE') {
+                if (Math.abs(value) < this.stillThreshold) {
+                    if (this._stillSince === null) this._stillSince = timestamp;
+                    if (timestamp - this._stillSince >= this.stillnessMs) {
+                        events.push(this.endSet(this._stillSince, 'stillness'));
+                    }
+                } else {
+                    this._stillSince = null;
+                }
+            }
+
+            return events;
+        }
+
+        _startSet(timestamp) {
+            this.current = {
+                index: this.sets.length + 1,
+                startTime: timestamp,
+                endTime: null,
+                durationMs: 0,
+                reps: 0,
+                targetReps: this.targetReps || null,
+                restMs: this._lastSetEnd !== null ? Math.max(0, timestamp - this._lastSetEnd) : null,
+                avgQuality: null,
+                avgRomCm: null,
+                partialReps: 0,
+                fatigueLoss: null,
+                maxFatigueLoss: null,
+                fatigueAlertRep: null,
+                tempoAdherence: null,
+                lastRepTime: timestamp,
+                endReason: null
+            };
+            this._qualities = [];
+            this._setReps = [];
+            this._stillSince = null;
+            this.state = 'ACTIVE';
+            return { type: 'setstart', set: this.current };
+        }
+
+        // Asocia la rep a la serie, recalcula la consistencia de ROM de toda la serie y evalúa
+        // la fatiga; devuelve el evento 'fatigue' la primera vez que se cruza el corte
+        _addRep(rep) {
+            rep.set = this.current.index;
+            const previous = this._setReps[this._setReps.length - 1] || null;
+            this._setReps.push(rep);
+            this._evaluateTempo(rep, previous);
+            this._updateRomConsistency(this.current);
+            return this._evaluateFatigue(rep);
+        }
+
+        _updateRomConsistency(set) {
+            const roms = this._setReps.map(r => r.romCm).filter(Number.isFinite);
+            const avg = roms.length ? roms.reduce((a, b) => a + b, 0) / roms.length : 0;
+            let partial = 0;
+            for (const r of this._setReps) {
+                r.romConsistency = avg > 0 && Number.isFinite(r.romCm) ? r.romCm / avg : null;
+                r.partial = r.romConsistency !== null && r.romConsistency < this.partialRomRatio;
+                if (r.partial) partial++;
+                if (this.scoreRep) r.quality = this.scoreRep(r);
+            }
+            set.avgRomCm = avg > 0 ? avg : null;
+            set.partialReps = partial;
+            if (set.endTime !== null) set.avgQuality = this._averageQuality();
+        }
+
+        // Con registros de rep, su calidad actual (puede cambiar al llegar el ROM); si no, la
+        // recibida en process()
+        _averageQuality() {
+            const qualities = this._setReps.length
+                ? this._setReps.map(r => r.quality).filter(Number.isFinite)
+                : this._qualities;
+            return qualities.length ? qualities.reduce((a, b) => a + b, 0) / qualities.length : null;
+        }
+
+        // ROM que RepDetector cierra después de emitir la rep: recalcula la serie a la que pertenece
+        // (la actual o, en el descanso, la recién terminada) y emite 'rom' por cada rep
+        updateRangeOfMotion(reps) {
+            const events = [];
+            for (const rep of reps) {
+                if (!this._setReps.includes(rep)) continue;
+                const set = this.current || this.sets[this.sets.length - 1];
+                this._updateRomConsistency(set);
+                events.push({ type: 'rom', set, rep });
+            }
+            return events;
+        }
+
+        // Desviación (s) de cada fase respecto al tempo prescrito y adherencia 0-100. Cada fase
+        // puntúa 1 - |desviación| / max(objetivo, 1 s); las fases sin objetivo no cuentan.
+        _evaluateTempo(rep, previous) {
+            rep.tempo = null;
+            if (!this.tempo) return;
+
+            const phases = rep.phaseDurations || {};
+            const actual = {
+                eccentric: (phases.LOWERING || 0) / 1000,
+                bottomPause: previous ? Math.max(0, rep.startTime - previous.endTime) / 1000 : null,
+                concentric: (phases.PULLING_UP || 0) / 1000,
+                topPause: (phases.AT_TOP || 0) / 1000
+            };
+            const deviation = {};
+            const scores = [];
+            for (const key of Object.keys(actual)) {
+                const target = this.tempo[key];
+                if (target === null || target === undefined || actual[key] === null) {
+                    deviation[key] = null;
+                    continue;
+                }
+                deviation[key] = actual[key] - target;
+                scores.push(Math.max(0, 1 - Math.abs(deviation[key]) / Math.max(target, 1)));
+            }
+            if (scores.length === 0) return;
+
+            const adherence = scores.reduce((a, b) => a + b, 0) / scores.length * 100;
+            rep.tempo = { actual, deviation, adherence };
+
+            const setScores = this._setReps.filter(r => r.tempo).map(r => r.tempo.adherence);
+            this.current.tempoAdherence = setScores.reduce((a, b) => a + b, 0) / setScores.length;
+            this._tempoScores.push(adherence);
+        }
+
+        // Adherencia media al tempo de todas las reps de la sesión (null si no hay tempo)
+        getTempoAdherence() {
+            if (this._tempoScores.length === 0) return null;
+            return this._tempoScores.reduce((a, b) => a + b, 0) / this._tempoScores.length;
+        }
+
+        // Pérdida respecto a la media de las primeras reps. La principal es la de velocidad
+        // concéntrica; si no hay velocidad de referencia se promedian las pérdidas de duración
+        // (más lenta = peor), amplitud y calidad.
+        _evaluateFatigue(rep) {
+            const set = this.current;
+            rep.fatigue = null;
+            if (this._setReps.length <= this.fatigueBaselineReps) return null;
+
+            const baseline = this._setReps.slice(0, this.fatigueBaselineReps);
+            const mean = key => baseline.reduce((sum, r) => sum + (r[key] || 0), 0) / baseline.length;
+            const ratioLoss = (value, reference) => reference > 0 ? 1 - value / reference : null;
+
+            const velocityLoss = ratioLoss(rep.meanConcentricVelocity, mean('meanConcentricVelocity'));
+            const baseDuration = mean('duration');
+            const durationLoss = baseDuration > 0 ? rep.duration / baseDuration - 1 : null;
+            const amplitudeLoss = ratioLoss(rep.amplitude, mean('amplitude'));
+            const qualityLoss = ratioLoss(rep.quality, mean('quality'));
+
+            const others = [durationLoss, amplitudeLoss, qualityLoss].filter(v => v !== null);
+            const loss = velocityLoss !== null
+                ? velocityLoss
+                : (others.length ? others.reduce((a, b) => a + b, 0) / others.length : 0);
+
+            rep.fatigue = { loss, velocityLoss, durationLoss, amplitudeLoss, qualityLoss };
+            set.fatigueLoss = loss;
+            set.maxFatigueLoss = Math.max(set.maxFatigueLoss ?? loss, loss);
+
+            if (this.fatigueCutoff && loss >= this.fatigueCutoff && set.fatigueAlertRep === null) {
+                set.fatigueAlertRep = set.reps;
+                return { type: 'fatigue', set, rep, loss };
+            }
+            return null;
+        }
+
+        // Cierra la serie en curso (reason: 'stillness', 'manual', 'stop')
+        endSet(timestamp, reason = 'manual') {
+            if (this.state !== 'ACTIVE') return null;
+            const set = this.current;
+            set.endTime = Math.max(timestamp, set.lastRepTime);
+            set.durationMs = set.endTime - set.startTime;
+            set.avgQuality = this._averageQuality();
+            set.endReason = reason;
+            this.sets.push(set);
+
+            this.current = null;
+            this._stillSince = null;
+            this._lastSetEnd = set.endTime;
+            this.state = 'RESTING';
+            return { type: 'setend', set };
+        }
+
+        getCurrentReps() {
+            return this.current ? this.current.reps : 0;
+        }
+
+        getRestElapsed(timestamp) {
+            return this.state === 'RESTING' ? Math.max(0, timestamp - this._lastSetEnd) : 0;
+        }
+
+        getTotalReps() {
+            return this.sets.reduce((sum, set) => sum + set.reps, 0) + this.getCurrentReps();
+        }
+    }
+
+    return {
+        CALIBRATION_TARGET_REPS,
+        DEFAULT_QUALITY_MODEL,
+        parseTempo,
+        EventEmitter,
+        MovingAverageFilter,
+        GravityEstimator,
+        FFTCadenceEstimator,
+        AutoCalibrator,
+        RepDetector,
+        WorkoutSession
+    };
+});
@@ -0,0 +1,374 @@
+// ========================================
+// EXPORTACIÓN FIT (GARMIN)
+// ========================================
+// Codifica sesiones registradas como archivos de actividad FIT de entrenamiento de fuerza y los
+// vuelve a decodificar para validarlos. Sin DOM ni dependencias: en el navegador se expone como
+// `TrainingFit`; en Node, vía `require('./fit.js')`.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TrainingFit = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const PROTOCOL_VERSION = 0x20; // 2.0
+    const PROFILE_VERSION = 2132;  // 21.32
+    const HEADER_SIZE = 14;
+    // Los date_time de FIT cuentan segundos desde 1989-12-31T00:00:00Z
+    const FIT_EPOCH_MS = Date.UTC(1989, 11, 31);
+
+    // Tipos base: id, tamaño en bytes y valor inválido (campo sin dato)
+    const BASE_TYPES = {
+        enum: { id: 0x00, size: 1, invalid: 0xFF },
+        uint8: { id: 0x02, size: 1, invalid: 0xFF },
+        uint16: { id: 0x84, size: 2, invalid: 0xFFFF },
+        uint32: { id: 0x86, size: 4, invalid: 0xFFFFFFFF },
+        uint32z: { id: 0x8C, size: 4, invalid: 0 }
+    };
+    const BASE_TYPES_BY_ID = Object.fromEntries(Object.entries(BASE_TYPES).map(([name, type]) => [type.id, { name, ...type }]));
+
+    // Subconjunto del perfil FIT que usa la exportación: [número, nombre, tipo, escala]
+    const MESSAGES = {
+        file_id: { num: 0, fields: [[0, 'type', 'enum'], [1, 'manufacturer', 'uint16'], [2, 'product', 'uint16'], [3, 'serial_number', 'uint32z'], [4, 'time_created', 'uint32']] },
+        event: { num: 21, fields: [[253, 'timestamp', 'uint32'], [0, 'event', 'enum'], [1, 'event_type', 'enum']] },
+        set: { num: 225, fields: [[254, 'timestamp', 'uint32'], [0, 'duration', 'uint32', 1000], [3, 'repetitions', 'uint16'], [5, 'set_type', 'uint8'], [6, 'start_time', 'uint32'], [7, 'category', 'uint16'], [10, 'message_index', 'uint16']] },
+        lap: { num: 19, fields: [[254, 'message_index', 'uint16'], [253, 'timestamp', 'uint32'], [0, 'event', 'enum'], [1, 'event_type', 'enum'], [2, 'start_time', 'uint32'], [7, 'total_elapsed_time', 'uint32', 1000], [8, 'total_timer_time', 'uint32', 1000], [10, 'total_cycles', 'uint32'], [25, 'sport', 'enum'], [39, 'sub_sport', 'enum']] },
+        session: { num: 18, fields: [[254, 'message_index', 'uint16'], [253, 'timestamp', 'uint32'], [0, 'event', 'enum'], [1, 'event_type', 'enum'], [2, 'start_time', 'uint32'], [5, 'sport', 'enum'], [6, 'sub_sport', 'enum'], [7, 'total_elapsed_time', 'uint32', 1000], [8, 'total_timer_time', 'uint32', 1000], [10, 'total_cycles', 'uint32'], [25, 'first_lap_index', 'uint16'], [26, 'num_laps', 'uint16']] },
+        activity: { num: 34, fields: [[253, 'timestamp', 'uint32'], [0, 'total_timer_time', 'uint32', 1000], [1, 'num_sessions', 'uint16'], [2, 'type', 'enum'], [3, 'event', 'enum'], [4, 'event_type', 'enum'], [5, 'local_timestamp', 'uint32']] }
+    };
+    const MESSAGES_BY_NUM = Object.fromEntries(Object.entries(MESSAGES).map(([name, def]) => [def.num, { name, ...def }]));
+
+    const FILE_TYPE_ACTIVITY = 4;
+    const MANUFACTURER_DEVELOPMENT = 255;
+    const SPORT_TRAINING = 10;
+    const SUB_SPORT_STRENGTH_TRAINING = 20;
+    const EVENT = { timer: 0, session: 8, lap: 9, activity: 26 };
+    const EVENT_TYPE = { start: 0, stop: 1, stop_all: 4 };
+    const SET_TYPE = { rest: 0, active: 1 };
+    // Categorías de ejercicio del perfil FIT (exercise_category)
+    const EXERCISE_CATEGORY = { curl: 7, pull_up: 21, push_up: 22, squat: 28, unknown: 65534 };
+
+    const CRC_TABLE = [
+        0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+        0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+    ];
+
+    function crc16(bytes, start = 0, end = bytes.length) {
+        let crc = 0;
+        for (let i = start; i < end; i++) {
+            const byte = bytes[i];
+            let tmp = CRC_TABLE[crc & 0xF];
+            crc = (crc >> 4) & 0x0FFF;
+            crc = crc ^ tmp ^ CRC_TABLE[byte & 0xF];
+            tmp = CRC_TABLE[crc & 0xF];
+            crc = (crc >> 4) & 0x0FFF;
+            crc = crc ^ tmp ^ CRC_TABLE[(byte >> 4) & 0xF];
+        }
+        return crc;
+    }
+
+    function toFitTime(ms) {
+        return Math.max(0, Math.round((ms - FIT_EPOCH_MS) / 1000));
+    }
+
+    function fromFitTime(seconds) {
+        return FIT_EPOCH_MS + seconds * 1000;
+    }
+
+    // Escritor de mensajes: cada tipo de mensaje usa su propio tipo local y su definición se
+    // escribe la primera vez que aparece. Todo en little endian.
+    class FitWriter {
+        constructor() {
+            this.bytes = [];
+            this._localTypes = new Map();
+        }
+
+        _write(value, size) {
+            for (let i = 0; i < size; i++) this.bytes.push((value / 2 ** (8 * i)) & 0xFF);
+        }
+
+        write(name, values) {
+            const message = MESSAGES[name];
+            if (!message) throw new Error(`Mensaje FIT desconocido: ${name}`);
+            if (!this._localTypes.has(name)) {
+                const localType = this._localTypes.size;
+                if (localType > 15) throw new Error('Demasiados tipos de mensaje FIT');
+                this._localTypes.set(name, localType);
+                this.bytes.push(0x40 | localType, 0, 0);
+                this._write(message.num, 2);
+                this.bytes.push(message.fields.length);
+                for (const [num, , type] of message.fields) {
+                    this.bytes.push(num, BASE_TYPES[type].size, BASE_TYPES[type].id);
+                }
+            }
+
+            this.bytes.push(this._localTypes.get(name));
+            for (const [, field, type, scale = 1] of message.fields) {
+                const base = BASE_TYPES[type];
+                const value = values[field];
+                const raw = Number.isFinite(value) ? Math.round(value * scale) : base.invalid;
+                const inRange = raw >= 0 && raw < 2 ** (8 * base.size) && raw !== base.invalid;
+                this._write(inRange ? raw : base.invalid, base.size);
+            }
+        }
+
+        // Cabecera de 14 bytes + mensajes + CRC del archivo
+        toBytes() {
+            const data = this.bytes;
+            const file = new Uint8Array(HEADER_SIZE + data.length + 2);
+            const view = new DataView(file.buffer);
+            view.setUint8(0, HEADER_SIZE);
+            view.setUint8(1, PROTOCOL_VERSION);
+            view.setUint16(2, PROFILE_VERSION, true);
+            view.setUint32(4, data.length, true);
+            file.set([0x2E, 0x46, 0x49, 0x54], 8); // ".FIT"
+            view.setUint16(12, crc16(file, 0, 12), true);
+            file.set(data, HEADER_SIZE);
+            view.setUint16(HEADER_SIZE + data.length, crc16(file, 0, HEADER_SIZE + data.length), true);
+            return file;
+        }
+    }
+
+    // Series de la sesión; si el registro terminó con una serie abierta, se reconstruyen a
+    // partir de las reps (cada rep guarda su número de serie)
+    function sessionSets(session) {
+        const sets = Array.isArray(session.sets) ? session.sets.filter(set => set.reps > 0) : [];
+        const reps = Array.isArray(session.reps) ? session.reps : [];
+        const lastEnd = sets.length ? sets[sets.length - 1].endTime : -Infinity;
+        const pending = reps.filter(rep => rep.startTime > lastEnd);
+        if (pending.length === 0) return sets;
+
+        const groups = new Map();
+        for (const rep of pending) {
+            const key = rep.set ?? 'pending';
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(rep);
+        }
+        let previousEnd = sets.length ? lastEnd : null;
+        const rebuilt = [...groups.values()].map(group => {
+            const startTime = group[0].startTime;
+            const endTime = group[group.length - 1].endTime;
+            const set = {
+                startTime,
+                endTime,
+                durationMs: endTime - startTime,
+                reps: group.length,
+                restMs: previousEnd !== null ? Math.max(0, startTime - previousEnd) : null
+            };
+            previousEnd = endTime;
+            return set;
+        });
+        return [...sets, ...rebuilt];
+    }
+
+    // Codifica una sesión de DataLogger (metadatos con `sets`/`reps`) como actividad FIT.
+    // `category` es un valor de EXERCISE_CATEGORY para todas las series.
+    function encodeActivity(session, { category = EXERCISE_CATEGORY.unknown, serialNumber = 1 } = {}) {
+        const sets = sessionSets(session);
+        const startMs = Date.parse(session.startedAt);
+        if (!Number.isFinite(startMs)) throw new Error('La sesión no tiene fecha de inicio válida');
+        const lastSetEnd = sets.length ? sets[sets.length - 1].endTime : startMs;
+        const endMs = Math.max(Date.parse(session.endedAt) || startMs, lastSetEnd);
+        const start = toFitTime(startMs);
+        const end = toFitTime(endMs);
+        const elapsedSec = (endMs - startMs) / 1000;
+        const totalReps = sets.reduce((sum, set) => sum + set.reps, 0);
+
+        const writer = new FitWriter();
+        writer.write('file_id', {
+            type: FILE_TYPE_ACTIVITY,
+            manufacturer: MANUFACTURER_DEVELOPMENT,
+            product: 0,
+            serial_number: serialNumber,
+            time_created: start
+        });
+        writer.write('event', { timestamp: start, event: EVENT.timer, event_type: EVENT_TYPE.start });
+
+        // El descanso previo a cada serie va como una serie de tipo `rest`
+        let messageIndex = 0;
+        sets.forEach((set, i) => {
+            if (i > 0 && set.restMs > 0) {
+                writer.write('set', {
+                    timestamp: toFitTime(set.startTime),
+                    duration: set.restMs / 1000,
+                    set_type: SET_TYPE.rest,
+                    start_time: toFitTime(set.startTime - set.restMs),
+                    message_index: messageIndex++
+                });
+            }
+            writer.write('set', {
+                timestamp: toFitTime(set.endTime),
+                duration: (set.durationMs ?? set.endTime - set.startTime) / 1000,
+                repetitions: set.reps,
+                set_type: SET_TYPE.active,
+                start_time: toFitTime(set.startTime),
+                category,
+                message_index: messageIndex++
+            });
+        });
+
+        writer.write('event', { timestamp: end, event: EVENT.timer, event_type: EVENT_TYPE.stop_all });
+        writer.write('lap', {
+            message_index: 0,
+            timestamp: end,
+            event: EVENT.lap,
+            event_type: EVENT_TYPE.stop,
+            start_time: start,
+            total_elapsed_time: elapsedSec,
+            total_timer_time: elapsedSec,
+            total_cycles: totalReps,
+            sport: SPORT_TRAINING,
+            sub_sport: SUB_SPORT_STRENGTH_TRAINING
+        });
+        writer.write('session', {
+            message_index: 0,
+            timestamp: end,
+            event: EVENT.session,
+            event_type: EVENT_TYPE.stop,
+            start_time: start,
+            sport: SPORT_TRAINING,
+            sub_sport: SUB_SPORT_STRENGTH_TRAINING,
+            total_elapsed_time: elapsedSec,
+            total_timer_time: elapsedSec,
+            total_cycles: totalReps,
+            first_lap_index: 0,
+            num_laps: 1
+        });
+        writer.write('activity', {
+            timestamp: end,
+            total_timer_time: elapsedSec,
+            num_sessions: 1,
+            type: 0, // manual
+            event: EVENT.activity,
+            event_type: EVENT_TYPE.stop,
+            local_timestamp: end - new Date(endMs).getTimezoneOffset() * 60
+        });
+        return writer.toBytes();
+    }
+
+    // Decodificador genérico: comprueba cabecera y CRC y devuelve los mensajes en orden. Los
+    // mensajes y campos del perfil usado aquí se nombran y escalan; el resto se deja por número.
+    function decode(bytes) {
+        if (!(bytes instanceof Uint8Array)) bytes = new Uint8Array(bytes);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (bytes.length < 12) throw new Error('Archivo FIT demasiado corto');
+        const headerSize = view.getUint8(0);
+        if (headerSize !== 12 && headerSize !== 14) throw new Error(`Tamaño de cabecera FIT no válido (${headerSize})`);
+        if (String.fromCharCode(...bytes.subarray(8, 12)) !== '.FIT') throw new Error('Falta la firma ".FIT"');
+        if (headerSize === 14) {
+            const headerCrc = view.getUint16(12, true);
+            if (headerCrc !== 0 && headerCrc !== crc16(bytes, 0, 12)) throw new Error('CRC de cabecera incorrecto');
+        }
+        const dataSize = view.getUint32(4, true);
+        const end = headerSize + dataSize;
+        if (bytes.length < end + 2) throw new Error('Archivo FIT truncado');
+        if (view.getUint16(end, true) !== crc16(bytes, 0, end)) throw new Error('CRC del archivo incorrecto');
+
+        const definitions = new Map();
+        const messages = [];
+        let offset = headerSize;
+        while (offset < end) {
+            const recordHeader = bytes[offset++];
+            if (recordHeader & 0x80) throw new Error('Cabeceras con timestamp comprimido no soportadas');
+            const localType = recordHeader & 0x0F;
+
+            if (recordHeader & 0x40) {
+                const littleEndian = bytes[offset + 1] === 0;
+                const num = littleEndian ? view.getUint16(offset + 2, true) : view.getUint16(offset + 2, false);
+                const fieldCount = bytes[offset + 4];
+                offset += 5;
+                const fields = [];
+                for (let i = 0; i < fieldCount; i++, offset += 3) {
+                    fields.push({ num: bytes[offset], size: bytes[offset + 1], type: bytes[offset + 2] });
+                }
+                let developerSize = 0;
+                if (recordHeader & 0x20) {
+                    const developerCount = bytes[offset++];
+                    for (let i = 0; i < developerCount; i++, offset += 3) developerSize += bytes[offset + 1];
+                }
+                definitions.set(localType, { num, littleEndian, fields, developerSize });
+                continue;
+            }
+
+            const definition = definitions.get(localType);
+            if (!definition) throw new Error(`Mensaje sin definición (tipo local ${localType}) en el byte ${offset - 1}`);
+            const profile = MESSAGES_BY_NUM[definition.num];
+            const values = {};
+            for (const field of definition.fields) {
+                const base = BASE_TYPES_BY_ID[field.type];
+                const known = profile && profile.fields.find(([num]) => num === field.num);
+                const key = known ? known[1] : field.num;
+                if (base && field.size === base.size) {
+                    let raw = 0;
+                    for (let i = 0; i < base.size; i++) {
+                        const byte = bytes[offset + (definition.littleEndian ? i : base.size - 1 - i)];
+                        raw += byte * 2 ** (8 * i);
+                    }
+                    if (raw !== base.invalid) values[key] = known && known[3] ? raw / known[3] : raw;
+                } else {
+                    values[key] = bytes.slice(offset, offset + field.size);
+                }
+                offset += field.size;
+            }
+            offset += definition.developerSize;
+            messages.push({ name: profile ? profile.name : null, num: definition.num, values });
+        }
+        return { protocolVersion: bytes[1], profileVersion: view.getUint16(2, true), messages };
+    }
+
+    // Decodifica el archivo producido y comprueba que describe la sesión: actividad de fuerza,
+    // una serie activa por serie registrada con sus reps y totales coherentes en vuelta y sesión.
+    function validateActivity(bytes, session) {
+        const errors = [];
+        let decoded;
+        try {
+            decoded = decode(bytes);
+        } catch (error) {
+            return { valid: false, errors: [error.message], messages: [] };
+        }
+
+        const byName = name => decoded.messages.filter(m => m.name === name).map(m => m.values);
+        const [fileId] = byName('file_id');
+        const sessions = byName('session');
+        const laps = byName('lap');
+        const activeSets = byName('set').filter(set => set.set_type === SET_TYPE.active);
+        const expected = sessionSets(session);
+        const expectedReps = expected.reduce((sum, set) => sum + set.reps, 0);
+
+        if (!fileId || fileId.type !== FILE_TYPE_ACTIVITY) errors.push('file_id no es de tipo actividad');
+        if (sessions.length !== 1) errors.push(`se esperaba 1 mensaje session y hay ${sessions.length}`);
+        if (laps.length === 0) errors.push('no hay mensajes lap');
+        if (byName('activity').length !== 1) errors.push('falta el mensaje activity');
+        const [summary] = sessions;
+        if (summary) {
+            if (summary.sport !== SPORT_TRAINING || summary.sub_sport !== SUB_SPORT_STRENGTH_TRAINING) {
+                errors.push('el deporte de la sesión no es entrenamiento de fuerza');
+            }
+            if ((summary.total_cycles ?? 0) !== expectedReps) {
+                errors.push(`la sesión indica ${summary.total_cycles} reps y se registraron ${expectedReps}`);
+            }
+        }
+        if (activeSets.length !== expected.length) {
+            errors.push(`se esperaban ${expected.length} series y hay ${activeSets.length}`);
+        }
+        activeSets.forEach((set, i) => {
+            if (expected[i] && set.repetitions !== expected[i].reps) {
+                errors.push(`serie ${i + 1}: ${set.repetitions} reps en el archivo, ${expected[i].reps} registradas`);
+            }
+        });
+        return { valid: errors.length === 0, errors, messages: decoded.messages };
+    }
+
+    return {
+        EXERCISE_CATEGORY,
+        crc16,
+        toFitTime,
+        fromFitTime,
+        encodeActivity,
+        decode,
+        validateActivity
+    };
+});
@@ -0,0 +1,524 @@
+// ========================================
+// FORMATO BINARIO DE GRABACIÓN
+// ========================================
+// Codifica bloques de muestras de DataLogger por columnas en lugar de objetos JSON. Las columnas
+// numéricas con una escala fija (enteros, lecturas redondeadas a 0,1, timestamps fraccionarios)
+// van como deltas de enteros escalados en arrays de ancho fijo; el resto de decimales, como XOR
+// del valor anterior en float64, y las columnas con valores repetidos (fase, repCount, eje) en runs. La ausencia/null de cada campo
+// va en su propio run y el orden de claves de cada muestra en una tabla de formas, así que la
+// decodificación devuelve exactamente la misma forma JSON.
+// Sin DOM: en el navegador se expone como `TrainingRecording`; en Node, vía `require('./recording.js')`.
+//
+// Cabecera: "TTR" + versión (u8) + flags (u8, bit 0 = cuerpo comprimido con gzip).
+// Cuerpo: nº de muestras, nº de columnas y por columna: nombre, códec, runs de presencia y datos;
+// desde la versión 2, detrás, las formas (orden de columnas) distintas y sus runs por muestra.
+// La versión 3 añade el códec de deltas escalados; INT_DELTA solo se escribía hasta la 2.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TrainingRecording = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MAGIC = [0x54, 0x54, 0x52]; // "TTR"
+    const FORMAT_VERSION = 3;
+    const HEADER_SIZE = 5;
+    const FLAG_COMPRESSED = 0x01;
+
+    // Presencia de un campo en cada muestra
+    const KIND_VALUE = 0;
+    const KIND_NULL = 1;
+    const KIND_ABSENT = 2;
+
+    const CODEC_INT_DELTA = 1;
+    const CODEC_FLOAT_XOR = 2;
+    const CODEC_RLE = 3;
+    const CODEC_JSON = 4;
+    const CODEC_SCALED_DELTA = 5;
+
+    // Escalas de CODEC_SCALED_DELTA: valor = entero / 10^e, entero * 1e-e (como redondean los
+    // navegadores las lecturas, p. ej. 3 * 0.1 = 0.30000000000000004) o entero / 2^e (timestamps
+    // timeOrigin + timeStamp: los double de esa magnitud son múltiplos de 2^-12)
+    const SCALE_DECIMAL = 0;
+    const SCALE_STEP = 1;
+    const SCALE_BINARY = 2;
+    const SCALE_LIMITS = [[SCALE_DECIMAL, 0, 9], [SCALE_STEP, 1, 9], [SCALE_BINARY, 1, 52]];
+    // Ancho en bytes de los deltas (0 = varint, si alguno no cabe en 32 bits)
+    const DELTA_WIDTHS = [[1, 0x7F], [2, 0x7FFF], [4, 0x7FFFFFFF]];
+
+    const textEncoder = new TextEncoder();
+    const textDecoder = new TextDecoder();
+
+    class ByteWriter {
+        constructor(capacity = 1024) {
+            this.bytes = new Uint8Array(capacity);
+            this.length = 0;
+        }
+
+        _reserve(size) {
+            if (this.length + size <= this.bytes.length) return;
+            const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + size));
+            grown.set(this.bytes.subarray(0, this.length));
+            this.bytes = grown;
+        }
+
+        u8(value) {
+            this._reserve(1);
+            this.bytes[this.length++] = value;
+        }
+
+        raw(bytes) {
+            this._reserve(bytes.length);
+            this.bytes.set(bytes, this.length);
+            this.length += bytes.length;
+        }
+
+        // Entero sin signo de hasta 2^53 en grupos de 7 bits (aritmética, no operadores de bits)
+        varuint(value) {
+            while (value >= 0x80) {
+                this.u8((value % 0x80) + 0x80);
+                value = Math.floor(value / 0x80);
+            }
+            this.u8(value);
+        }
+
+        varint(value) {
+            this.varuint(value >= 0 ? value * 2 : -value * 2 - 1);
+        }
+
+        string(text) {
+            const bytes = textEncoder.encode(text);
+            this.varuint(bytes.length);
+            this.raw(bytes);
+        }
+
+        toBytes() {
+            return this.bytes.slice(0, this.length);
+        }
+    }
+
+    class ByteReader {
+        constructor(bytes, offset = 0) {
+            this.bytes = bytes;
+            this.offset = offset;
+        }
+
+        u8() {
+            if (this.offset >= this.bytes.length) throw new Error('Grabación truncada');
+            return this.bytes[this.offset++];
+        }
+
+        raw(length) {
+            if (this.offset + length > this.bytes.length) throw new Error('Grabación truncada');
+            const bytes = this.bytes.subarray(this.offset, this.offset + length);
+            this.offset += length;
+            return bytes;
+        }
+
+        varuint() {
+            let value = 0;
+            let scale = 1;
+            for (;;) {
+                const byte = this.u8();
+                value += (byte & 0x7F) * scale;
+                if (byte < 0x80) return value;
+                scale *= 0x80;
+            }
+        }
+
+        varint() {
+            const value = this.varuint();
+            return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+        }
+
+        string() {
+            return textDecoder.decode(this.raw(this.varuint()));
+        }
+    }
+
+    function toRuns(values) {
+        const runs = [];
+        for (const value of values) {
+            const last = runs[runs.length - 1];
+            if (last && Object.is(last.value, value)) last.count++;
+            else runs.push({ value, count: 1 });
+        }
+        return runs;
+    }
+
+    function unscale(integer, mode, exponent) {
+        if (mode === SCALE_DECIMAL) return integer / 10 ** exponent;
+        if (mode === SCALE_STEP) return integer * Number(`1e-${exponent}`);
+        return integer / 2 ** exponent;
+    }
+
+    // Enteros que reconstruyen exactamente la columna con esa escala, o null. Los deltas tienen
+    // que poder pasar por varint() (que escribe delta * 2) sin perder precisión.
+    function scaleValues(values, mode, exponent) {
+        const integers = new Array(values.length);
+        let previous = 0;
+        for (let i = 0; i < values.length; i++) {
+            const value = values[i];
+            const integer = mode === SCALE_STEP
+                ? Math.round(value / Number(`1e-${exponent}`))
+                : Math.round(value * (mode === SCALE_DECIMAL ? 10 ** exponent : 2 ** exponent));
+            if (!Number.isSafeInteger(integer) || unscale(integer, mode, exponent) !== value) return null;
+            if (!Number.isSafeInteger((integer - previous) * 2)) return null;
+            integers[i] = integer;
+            previous = integer;
+        }
+        return integers;
+    }
+
+    // Escala más pequeña con la que la columna es exacta (la primera que encaja de cada tipo)
+    function findScale(values) {
+        for (const [mode, first, last] of SCALE_LIMITS) {
+            for (let exponent = first; exponent <= last; exponent++) {
+                const integers = scaleValues(values, mode, exponent);
+                if (integers) return { mode, exponent, integers };
+            }
+        }
+        return null;
+    }
+
+    // Elige el códec de una columna a partir de sus valores presentes (con la escala si es
+    // SCALED_DELTA). -0 solo sobrevive en FLOAT_XOR: los enteros y el diccionario JSON de RLE
+    // lo convertirían en 0.
+    function chooseCodec(values) {
+        if (values.length === 0) return { codec: CODEC_RLE };
+        const runs = toRuns(values).length;
+        const primitive = values.every(v => typeof v === 'string' || typeof v === 'boolean' || (typeof v === 'number' && Number.isFinite(v)));
+        const negativeZero = values.some(v => Object.is(v, -0));
+        if (primitive && !negativeZero && runs * 2 <= values.length) return { codec: CODEC_RLE };
+        const numeric = values.every(v => typeof v === 'number');
+        if (numeric && !negativeZero) {
+            const scale = findScale(values);
+            if (scale) return { codec: CODEC_SCALED_DELTA, scale };
+        }
+        if (numeric) return { codec: CODEC_FLOAT_XOR };
+        if (primitive) return { codec: CODEC_RLE };
+        return { codec: CODEC_JSON };
+    }
+
+    // Primer entero en varint y los deltas siguientes en un array de enteros de ancho fijo
+    // (little-endian), que el compresor reduce mucho mejor que los varint de longitud variable
+    function encodeScaled({ mode, exponent, integers }, writer) {
+        let maxDelta = 0;
+        for (let i = 1; i < integers.length; i++) {
+            maxDelta = Math.max(maxDelta, Math.abs(integers[i] - integers[i - 1]));
+        }
+        const width = (DELTA_WIDTHS.find(([, max]) => maxDelta <= max) || [0])[0];
+        writer.u8(mode);
+        writer.u8(exponent);
+        writer.u8(width);
+        writer.varint(integers[0]);
+        if (width === 0) {
+            for (let i = 1; i < integers.length; i++) writer.varint(integers[i] - integers[i - 1]);
+            return;
+        }
+        const view = new DataView(new ArrayBuffer((integers.length - 1) * width));
+        for (let i = 1; i < integers.length; i++) {
+            const delta = integers[i] - integers[i - 1];
+            const offset = (i - 1) * width;
+            if (width === 1) view.setInt8(offset, delta);
+            else if (width === 2) view.setInt16(offset, delta, true);
+            else view.setInt32(offset, delta, true);
+        }
+        writer.raw(new Uint8Array(view.buffer));
+    }
+
+    function decodeScaled(count, reader) {
+        const values = new Array(count);
+        if (count === 0) return values;
+        const mode = reader.u8();
+        const exponent = reader.u8();
+        const width = reader.u8();
+        if (mode > SCALE_BINARY || ![0, 1, 2, 4].includes(width)) throw new Error('Escala de columna no válida en la grabación');
+        let integer = reader.varint();
+        values[0] = unscale(integer, mode, exponent);
+        const bytes = width ? reader.raw((count - 1) * width) : null;
+        const view = bytes ? new DataView(bytes.buffer, bytes.byteOffset, bytes.length) : null;
+        for (let i = 1; i < count; i++) {
+            const offset = (i - 1) * width;
+            if (width === 0) integer += reader.varint();
+            else if (width === 1) integer += view.getInt8(offset);
+            else if (width === 2) integer += view.getInt16(offset, true);
+            else integer += view.getInt32(offset, true);
+            values[i] = unscale(integer, mode, exponent);
+        }
+        return values;
+    }
+
+    function encodeValues({ codec, scale }, values, writer) {
+        if (codec === CODEC_SCALED_DELTA) {
+            encodeScaled(scale, writer);
+        } else if (codec === CODEC_FLOAT_XOR) {
+            // XOR con los bits del valor anterior: valores parecidos dejan muchos bytes a cero,
+            // que el compresor reduce, y la reconstrucción es exacta (incluidos -0 y NaN)
+            const view = new DataView(new ArrayBuffer(8));
+            let hi = 0;
+            let lo = 0;
+            for (const value of values) {
+                view.setFloat64(0, value);
+                const nextHi = view.getUint32(0);
+                const nextLo = view.getUint32(4);
+                view.setUint32(0, nextHi ^ hi);
+                view.setUint32(4, nextLo ^ lo);
+                writer.raw(new Uint8Array(view.buffer));
+                hi = nextHi;
+                lo = nextLo;
+            }
+        } else if (codec === CODEC_RLE) {
+            const dictionary = [];
+            const indexOf = new Map();
+            const runs = toRuns(values).map(run => {
+                const key = JSON.stringify(run.value);
+                if (!indexOf.has(key)) {
+                    indexOf.set(key, dictionary.length);
+                    dictionary.push(key);
+                }
+                return { index: indexOf.get(key), count: run.count };
+            });
+            writer.varuint(dictionary.length);
+            for (const key of dictionary) writer.string(key);
+            writer.varuint(runs.length);
+            for (const run of runs) {
+                writer.varuint(run.index);
+                writer.varuint(run.count);
+            }
+        } else {
+            writer.string(JSON.stringify(values));
+        }
+    }
+
+    function decodeValues(codec, count, reader) {
+        if (codec === CODEC_SCALED_DELTA) return decodeScaled(count, reader);
+        const values = new Array(count);
+        if (codec === CODEC_INT_DELTA) {
+            let previous = 0;
+            for (let i = 0; i < count; i++) {
+                previous += reader.varint();
+                values[i] = previous;
+            }
+        } else if (codec === CODEC_FLOAT_XOR) {
+            const view = new DataView(new ArrayBuffer(8));
+            let hi = 0;
+            let lo = 0;
+            for (let i = 0; i < count; i++) {
+                const bytes = reader.raw(8);
+                const input = new DataView(bytes.buffer, bytes.byteOffset, 8);
+                hi = (input.getUint32(0) ^ hi) >>> 0;
+                lo = (input.getUint32(4) ^ lo) >>> 0;
+                view.setUint32(0, hi);
+                view.setUint32(4, lo);
+                values[i] = view.getFloat64(0);
+            }
+        } else if (codec === CODEC_RLE) {
+            const dictionary = [];
+            const size = reader.varuint();
+            for (let i = 0; i < size; i++) dictionary.push(JSON.parse(reader.string()));
+            const runCount = reader.varuint();
+            let i = 0;
+            for (let r = 0; r < runCount; r++) {
+                const value = dictionary[reader.varuint()];
+                const runLength = reader.varuint();
+                if (i + runLength > count) throw new Error('Run fuera de rango en la grabación');
+                values.fill(value, i, i + runLength);
+                i += runLength;
+            }
+            if (i !== count) throw new Error('Faltan valores en la grabación');
+        } else if (codec === CODEC_JSON) {
+            const parsed = JSON.parse(reader.string());
+            if (!Array.isArray(parsed) || parsed.length !== count) throw new Error('Columna JSON no válida en la grabación');
+            return parsed;
+        } else {
+            throw new Error(`Códec de columna desconocido (${codec})`);
+        }
+        return values;
+    }
+
+    // Codifica un bloque de muestras sin comprimir. Las columnas siguen el orden en que aparecen
+    // las claves; el de cada muestra va aparte como forma, porque con claves heterogéneas
+    // (p. ej. una que solo aparece a veces en medio) el orden de columnas no basta.
+    function encodeSamples(samples) {
+        const columns = [];
+        const seen = new Set();
+        for (const sample of samples) {
+            for (const key of Object.keys(sample)) {
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    columns.push(key);
+                }
+            }
+        }
+
+        const writer = new ByteWriter(64 + samples.length * columns.length * 4);
+        writer.raw(MAGIC);
+        writer.u8(FORMAT_VERSION);
+        writer.u8(0);
+        writer.varuint(samples.length);
+        writer.varuint(columns.length);
+        for (const column of columns) {
+            const kinds = [];
+            const values = [];
+            for (const sample of samples) {
+                const value = sample[column];
+                if (value === undefined) kinds.push(KIND_ABSENT);
+                else if (value === null) kinds.push(KIND_NULL);
+                else {
+                    kinds.push(KIND_VALUE);
+                    values.push(value);
+                }
+            }
+            const choice = chooseCodec(values);
+            writer.string(column);
+            writer.u8(choice.codec);
+            const kindRuns = toRuns(kinds);
+            writer.varuint(kindRuns.length);
+            for (const run of kindRuns) {
+                writer.u8(run.value);
+                writer.varuint(run.count);
+            }
+            encodeValues(choice, values, writer);
+        }
+
+        const columnIndex = new Map(columns.map((column, i) => [column, i]));
+        const shapes = [];
+        const shapeIndex = new Map();
+        const sampleShapes = samples.map(sample => {
+            const shape = Object.keys(sample).filter(key => sample[key] !== undefined).map(key => columnIndex.get(key));
+            const key = shape.join(',');
+            if (!shapeIndex.has(key)) {
+                shapeIndex.set(key, shapes.length);
+                shapes.push(shape);
+            }
+            return shapeIndex.get(key);
+        });
+        writer.varuint(shapes.length);
+        for (const shape of shapes) {
+            writer.varuint(shape.length);
+            for (const index of shape) writer.varuint(index);
+        }
+        const shapeRuns = toRuns(sampleShapes);
+        writer.varuint(shapeRuns.length);
+        for (const run of shapeRuns) {
+            writer.varuint(run.value);
+            writer.varuint(run.count);
+        }
+        return writer.toBytes();
+    }
+
+    function readHeader(bytes) {
+        if (bytes.length < HEADER_SIZE || MAGIC.some((byte, i) => bytes[i] !== byte)) {
+            throw new Error('No es una grabación TTR');
+        }
+        const version = bytes[3];
+        if (version > FORMAT_VERSION) throw new Error(`Versión de grabación no soportada (${version})`);
+        return { version, compressed: (bytes[4] & FLAG_COMPRESSED) !== 0 };
+    }
+
+    function decodeSamples(bytes) {
+        const header = readHeader(bytes);
+        if (header.compressed) throw new Error('La grabación está comprimida; usa unpack()');
+
+        const reader = new ByteReader(bytes, HEADER_SIZE);
+        const count = reader.varuint();
+        const columnCount = reader.varuint();
+        const samples = Array.from({ length: count }, () => ({}));
+        const columns = [];
+        for (let c = 0; c < columnCount; c++) {
+            const column = reader.string();
+            columns.push(column);
+            const codec = reader.u8();
+            const kinds = [];
+            const runCount = reader.varuint();
+            for (let r = 0; r < runCount; r++) {
+                const kind = reader.u8();
+                const runLength = reader.varuint();
+                for (let i = 0; i < runLength; i++) kinds.push(kind);
+            }
+            if (kinds.length !== count) throw new Error(`Columna "${column}" con ${kinds.length} muestras, se esperaban ${count}`);
+
+            const values = decodeValues(codec, kinds.filter(kind => kind === KIND_VALUE).length, reader);
+            let v = 0;
+            for (let i = 0; i < count; i++) {
+                if (kinds[i] === KIND_VALUE) samples[i][column] = values[v++];
+                else if (kinds[i] === KIND_NULL) samples[i][column] = null;
+            }
+        }
+        // La versión 1 no guardaba formas: las claves quedan en el orden de las columnas
+        if (header.version < 2) return samples;
+
+        const shapes = [];
+        const shapeCount = reader.varuint();
+        for (let s = 0; s < shapeCount; s++) {
+            const shape = [];
+            const size = reader.varuint();
+            for (let k = 0; k < size; k++) {
+                const index = reader.varuint();
+                if (index >= columnCount) throw new Error('Forma de muestra no válida en la grabación');
+                shape.push(columns[index]);
+            }
+            shapes.push(shape);
+        }
+        const runCount = reader.varuint();
+        let i = 0;
+        for (let r = 0; r < runCount; r++) {
+            const shape = shapes[reader.varuint()];
+            const runLength = reader.varuint();
+            if (!shape || i + runLength > count) throw new Error('Run de formas fuera de rango en la grabación');
+            for (const end = i + runLength; i < end; i++) {
+                const ordered = {};
+                for (const column of shape) ordered[column] = samples[i][column];
+                samples[i] = ordered;
+            }
+        }
+        if (i !== count) throw new Error('Faltan formas en la grabación');
+        return samples;
+    }
+
+    function canCompress() {
+        return typeof CompressionStream !== 'undefined' && typeof Response !== 'undefined' && typeof Blob !== 'undefined';
+    }
+
+    async function pipeBytes(bytes, stream) {
+        const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+        return new Uint8Array(await response.arrayBuffer());
+    }
+
+    // Codifica y, si el navegador tiene CompressionStream, comprime el cuerpo con gzip
+    async function pack(samples, { compress = true } = {}) {
+        const bytes = encodeSamples(samples);
+        if (!compress || !canCompress()) return bytes;
+        const body = await pipeBytes(bytes.subarray(HEADER_SIZE), new CompressionStream('gzip'));
+        const packed = new Uint8Array(HEADER_SIZE + body.length);
+        packed.set(bytes.subarray(0, HEADER_SIZE));
+        packed[4] |= FLAG_COMPRESSED;
+        packed.set(body, HEADER_SIZE);
+        return packed;
+    }
+
+    async function unpack(bytes) {
+        if (!(bytes instanceof Uint8Array)) bytes = new Uint8Array(bytes);
+        const header = readHeader(bytes);
+        if (!header.compressed) return decodeSamples(bytes);
+        if (typeof DecompressionStream === 'undefined') throw new Error('Este navegador no puede descomprimir la grabación');
+        const body = await pipeBytes(bytes.subarray(HEADER_SIZE), new DecompressionStream('gzip'));
+        const plain = new Uint8Array(HEADER_SIZE + body.length);
+        plain.set(bytes.subarray(0, HEADER_SIZE));
+        plain[4] &= ~FLAG_COMPRESSED;
+        plain.set(body, HEADER_SIZE);
+        return decodeSamples(plain);
+    }
+
+    return {
+        FORMAT_VERSION,
+        encodeSamples,
+        decodeSamples,
+        pack,
+        unpack
+    };
+});
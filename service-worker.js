@@ -1,9 +1,12 @@
-const CACHE_NAME = 'accelerometer-app-v13-debug-panel';
+const CACHE_NAME = 'accelerometer-app-v57-session-context';
 const urlsToCache = [
   '/',
   '/index.html',
-  '/style.css?v=2025-12-13-5',
-  '/app.js?v=2025-12-13-8',
+  '/style.css?v=2026-10-19-38',
+  '/core.js?v=2026-10-19-43',
+  '/recording.js?v=2026-10-19-41',
+  '/fit.js?v=2026-10-19-21',
+  '/app.js?v=2026-10-19-44',
   '/manifest.json',
   'https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js',
   'https://cdn.jsdelivr.net/npm/apexcharts@3.45.1/dist/apexcharts.min.js',
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AutoCalibrator, CALIBRATION_TARGET_REPS } = require('../core.js');
+
+test.beforeEach(() => {
+    test.mock.method(console, 'log', () => {});
+});
+
+function withReps(reps, baseThresholds) {
+    const calibrator = new AutoCalibrator();
+    calibrator.startCalibration(baseThresholds);
+    calibrator.repsData = reps.map(([maxZ, minZ]) => ({ maxZ, minZ, amplitude: maxZ - minZ, duration: 1500, variance: 0 }));
+    return calibrator;
+}
+
+test('calculateThresholds devuelve null sin reps', () => {
+    assert.strictEqual(new AutoCalibrator().calculateThresholds(), null);
+});
+
+test('calculateThresholds deriva los umbrales de media y desviación típica', () => {
+    const calibrator = withReps([[1.5, -1.0], [2.5, -2.0]]);
+    const result = calibrator.calculateThresholds();
+
+    // maxZ: media 2, σ 0.5; minZ: media -1.5, σ 0.5; amplitud media 3.5
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.stats.repsDetected, 2);
+    assert.strictEqual(result.stats.avgMaxZ, 2);
+    assert.strictEqual(result.stats.avgMinZ, -1.5);
+    assert.strictEqual(result.stats.avgAmplitude, 3.5);
+    assert.ok(Math.abs(result.thresholds.upwardAcceleration - 1.6) < 1e-9);
+    assert.ok(Math.abs(result.thresholds.downwardAcceleration - -1.1) < 1e-9);
+    assert.ok(Math.abs(result.thresholds.minAmplitude - 2.1) < 1e-9);
+    assert.strictEqual(calibrator.isCalibrating, false);
+});
+
+test('calculateThresholds respeta los límites mínimos de los umbrales', () => {
+    const result = withReps([[0.3, -0.1], [0.3, -0.1]]).calculateThresholds();
+    assert.strictEqual(result.thresholds.upwardAcceleration, 0.4);
+    assert.strictEqual(result.thresholds.downwardAcceleration, -0.3);
+});
+
+test('calculateThresholds toma duraciones y estabilidad de los umbrales base', () => {
+    const base = withReps([[2, -2]]).calculateThresholds().thresholds;
+    assert.strictEqual(base.minRepDuration, 700);
+    assert.strictEqual(base.maxRepDuration, 5000);
+    assert.strictEqual(base.stableThreshold, 0.25);
+
+    const custom = withReps([[2, -2]], { minRepDuration: 900, maxRepDuration: 4000, stableThreshold: 0.3 })
+        .calculateThresholds().thresholds;
+    assert.strictEqual(custom.minRepDuration, 900);
+    assert.strictEqual(custom.maxRepDuration, 4000);
+    assert.strictEqual(custom.stableThreshold, 0.3);
+});
+
+test('processValue completa la calibración tras las reps objetivo', () => {
+    const calibrator = new AutoCalibrator();
+    let completed = null;
+    calibrator.on('calibrationcomplete', (result) => { completed = result; });
+    calibrator.startCalibration();
+
+    let t = 0;
+    for (let rep = 0; rep < CALIBRATION_TARGET_REPS; rep++) {
+        for (const [z, count] of [[0, 10], [1.2, 20], [-0.9, 20], [0, 40]]) {
+            for (let i = 0; i < count; i++) calibrator.processValue(z, t += 20);
+        }
+    }
+
+    assert.strictEqual(calibrator.repCount, CALIBRATION_TARGET_REPS);
+    assert.ok(completed);
+    assert.strictEqual(completed.stats.avgMaxZ, 1.2);
+    assert.strictEqual(completed.stats.avgMinZ, -0.9);
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FFTCadenceEstimator } = require('../core.js');
+
+// Último resultado tras alimentar `seconds` de señal muestreada a `rateHz` con su timestamp
+function estimate(signal, { rateHz = 30, seconds = 30, ...options } = {}) {
+    const estimator = new FFTCadenceEstimator({ sampleRateHz: rateHz, ...options });
+    let last = null;
+    for (let i = 0; i < rateHz * seconds; i++) {
+        const t = 1000 + i * 1000 / rateHz;
+        const result = estimator.addSample(signal(t / 1000), t);
+        if (result) last = result;
+    }
+    return last;
+}
+
+const sine = (hz) => (s) => Math.sin(2 * Math.PI * hz * s);
+
+for (const hz of [0.3, 0.5, 1.2]) {
+    test(`detecta el pico de una senoide de ${hz} Hz`, () => {
+        const result = estimate(sine(hz));
+        assert.ok(Math.abs(result.frequencyHz - hz) < 0.01, `${result.frequencyHz} Hz`);
+        assert.strictEqual(result.confident, true);
+        assert.strictEqual(result.method, 'fft');
+    });
+}
+
+test('emite el evento cadence con cada estimación', () => {
+    const estimator = new FFTCadenceEstimator({ sampleRateHz: 30 });
+    const events = [];
+    estimator.on('cadence', (event) => events.push(event));
+    for (let i = 0; i < 600; i++) estimator.addSample(Math.sin(i / 10), 1000 + i * 33);
+    assert.ok(events.length > 0);
+    assert.strictEqual(events[events.length - 1].frequencyHz, estimator.lastFrequencyHz);
+});
+
+test('reset descarta el historial y la última estimación', () => {
+    const estimator = new FFTCadenceEstimator({ sampleRateHz: 30 });
+    for (let i = 0; i < 600; i++) estimator.addSample(Math.sin(i / 10), 1000 + i * 33);
+    estimator.reset();
+    assert.strictEqual(estimator.lastFrequencyHz, 0);
+    assert.strictEqual(estimator.lastConfident, false);
+});
+
+test('resuelve el fundamental cuando domina el segundo armónico', () => {
+    const signal = (s) => 0.5 * Math.sin(2 * Math.PI * 0.4 * s) + Math.sin(2 * Math.PI * 0.8 * s);
+    const result = estimate(signal);
+    assert.ok(Math.abs(result.frequencyHz * 60 - 24) < 1, `${result.frequencyHz * 60} rpm`);
+});
+
+test('la ventana cubre varios periodos de fMinHz a cualquier frecuencia de muestreo', () => {
+    const result = estimate(sine(0.25), { rateHz: 60, seconds: 40 });
+    assert.ok(Math.abs(result.frequencyHz * 60 - 15) < 0.5, `${result.frequencyHz * 60} rpm`);
+
+    const estimator = new FFTCadenceEstimator({ sampleRateHz: 60, fMinHz: 0.25, windowPeriods: 3 });
+    assert.ok(estimator.windowLength / 60 >= 3 / 0.25);
+});
+
+test('ajusta la ventana cuando cambia la frecuencia de muestreo estimada', () => {
+    const estimator = new FFTCadenceEstimator({ sampleRateHz: 30 });
+    const initial = estimator.windowLength;
+    for (let i = 0; i < 200; i++) estimator.addSample(Math.sin(i / 10), 1000 + i * 1000 / 60);
+    assert.ok(estimator.windowLength > 1.8 * initial);
+});
+
+// Ruido uniforme reproducible (mulberry32) pasado por la media móvil de 5 muestras del pipeline
+function smoothedNoise(seed, amplitude = 1) {
+    let state = seed;
+    const random = () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const taps = [];
+    return () => {
+        taps.push(amplitude * (random() - 0.5));
+        if (taps.length > 5) taps.shift();
+        return taps.reduce((a, b) => a + b, 0) / taps.length;
+    };
+}
+
+// Todas las estimaciones tras `seconds` de señal, con la configuración de la app
+function estimates(signal, { rateHz = 30, seconds = 90, ...options } = {}) {
+    const estimator = new FFTCadenceEstimator({ sampleRateHz: rateHz, updateEvery: 4, ...options });
+    const results = [];
+    for (let i = 0; i < rateHz * seconds; i++) {
+        const t = 1000 + i * 1000 / rateHz;
+        const result = estimator.addSample(signal(t / 1000), t);
+        if (result) results.push(result);
+    }
+    return results;
+}
+
+for (const method of ['fft', 'autocorrelation']) {
+    const options = method === 'fft' ? {} : { FFT: false };
+
+    test(`${method}: el ruido suavizado (móvil quieto) no da cadencias fiables`, () => {
+        test.mock.method(console, 'warn', () => {});
+        for (const [seed, amplitude] of [[1, 1], [2, 0.01], [3, 0.2]]) {
+            const results = estimates(smoothedNoise(seed, amplitude), options);
+            assert.ok(results.length > 100);
+            assert.strictEqual(results.filter(r => r.confident).length, 0, `semilla ${seed}`);
+            assert.strictEqual(results[0].method, method);
+        }
+    });
+
+    test(`${method}: una señal de reps con ruido sí es fiable`, () => {
+        test.mock.method(console, 'warn', () => {});
+        const noise = smoothedNoise(4, 0.5);
+        const rep = (s) => {
+            const phase = (s * 0.5) % 1;
+            return phase < 0.4 ? Math.sin(Math.PI * phase / 0.4) : -0.3 * Math.sin(Math.PI * (phase - 0.4) / 0.6);
+        };
+        const results = estimates((s) => rep(s) + noise(), options);
+        const last = results[results.length - 1];
+        assert.ok(results.filter(r => r.confident).length > 0.9 * results.length);
+        assert.ok(Math.abs(last.frequencyHz * 60 - 30) < 1, `${last.frequencyHz * 60} rpm`);
+    });
+}
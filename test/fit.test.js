@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EXERCISE_CATEGORY, crc16, toFitTime, encodeActivity, decode, validateActivity } = require('../fit.js');
+
+const START = Date.UTC(2024, 9, 19, 10, 0, 0);
+
+function rep(set, startTime) {
+    return { set, startTime, endTime: startTime + 2000 };
+}
+
+// Sesión de DataLogger con dos series cerradas separadas por 60 s de descanso
+function session(extraReps = []) {
+    return {
+        startedAt: new Date(START).toISOString(),
+        endedAt: new Date(START + 120000).toISOString(),
+        sets: [
+            { startTime: START + 5000, endTime: START + 25000, durationMs: 20000, reps: 8, restMs: null },
+            { startTime: START + 85000, endTime: START + 100000, durationMs: 15000, reps: 6, restMs: 60000 }
+        ],
+        reps: [
+            ...Array.from({ length: 8 }, (_, i) => rep(1, START + 5000 + i * 2500)),
+            ...Array.from({ length: 6 }, (_, i) => rep(2, START + 85000 + i * 2500)),
+            ...extraReps
+        ]
+    };
+}
+
+const values = (decoded, name) => decoded.messages.filter(m => m.name === name).map(m => m.values);
+
+test('encodeActivity/decode conserva series, descansos y totales', () => {
+    const bytes = encodeActivity(session(), { category: EXERCISE_CATEGORY.pull_up, serialNumber: 42 });
+    const decoded = decode(bytes);
+
+    const [fileId] = values(decoded, 'file_id');
+    assert.strictEqual(fileId.type, 4);
+    assert.strictEqual(fileId.serial_number, 42);
+    assert.strictEqual(fileId.time_created, toFitTime(START));
+
+    const sets = values(decoded, 'set');
+    assert.deepStrictEqual(sets.map(s => [s.set_type, s.repetitions, s.duration]), [
+        [1, 8, 20], [0, undefined, 60], [1, 6, 15]
+    ]);
+    assert.deepStrictEqual(sets.map(s => s.message_index), [0, 1, 2]);
+    assert.ok(sets.filter(s => s.set_type === 1).every(s => s.category === EXERCISE_CATEGORY.pull_up));
+    assert.strictEqual(sets[2].start_time, toFitTime(START + 85000));
+
+    const [summary] = values(decoded, 'session');
+    assert.strictEqual(summary.total_cycles, 14);
+    assert.strictEqual(summary.total_elapsed_time, 120);
+    assert.strictEqual(summary.start_time, toFitTime(START));
+    assert.deepStrictEqual(validateActivity(bytes, session()).errors, []);
+});
+
+test('la cabecera y el CRC del archivo son los de FIT 2.0', () => {
+    const bytes = encodeActivity(session());
+    const view = new DataView(bytes.buffer);
+    assert.strictEqual(bytes[0], 14);
+    assert.strictEqual(bytes[1], 0x20);
+    assert.strictEqual(view.getUint32(4, true), bytes.length - 16);
+    assert.strictEqual(String.fromCharCode(...bytes.subarray(8, 12)), '.FIT');
+    assert.strictEqual(view.getUint16(12, true), crc16(bytes, 0, 12));
+    assert.strictEqual(view.getUint16(bytes.length - 2, true), crc16(bytes, 0, bytes.length - 2));
+    // El CRC de un archivo que incluye su propio CRC es 0
+    assert.strictEqual(crc16(bytes), 0);
+});
+
+test('un byte alterado invalida el archivo', () => {
+    const bytes = encodeActivity(session());
+    bytes[20] ^= 0xFF;
+    assert.throws(() => decode(bytes), /CRC del archivo incorrecto/);
+    const result = validateActivity(bytes, session());
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.errors, ['CRC del archivo incorrecto']);
+});
+
+test('una serie abierta al terminar se reconstruye a partir de sus reps', () => {
+    const open = Array.from({ length: 4 }, (_, i) => rep(3, START + 110000 + i * 2500));
+    const recorded = session(open);
+    recorded.endedAt = new Date(START + 115000).toISOString();
+    const bytes = encodeActivity(recorded);
+    const decoded = decode(bytes);
+
+    const active = values(decoded, 'set').filter(s => s.set_type === 1);
+    assert.deepStrictEqual(active.map(s => s.repetitions), [8, 6, 4]);
+    assert.strictEqual(active[2].start_time, toFitTime(START + 110000));
+    assert.strictEqual(active[2].duration, 9.5);
+    // El descanso previo sale de la última serie cerrada
+    const rests = values(decoded, 'set').filter(s => s.set_type === 0);
+    assert.deepStrictEqual(rests.map(s => s.duration), [60, 10]);
+    // El final de la actividad se extiende hasta la última rep
+    assert.strictEqual(values(decoded, 'session')[0].total_cycles, 18);
+    assert.strictEqual(values(decoded, 'session')[0].total_elapsed_time, 119.5);
+    assert.deepStrictEqual(validateActivity(bytes, recorded).errors, []);
+});
+
+test('validateActivity detecta reps que no coinciden con la sesión', () => {
+    const bytes = encodeActivity(session());
+    const expected = session();
+    expected.sets[1].reps = 7;
+    const result = validateActivity(bytes, expected);
+    assert.strictEqual(result.valid, false);
+    assert.ok(result.errors.includes('serie 2: 6 reps en el archivo, 7 registradas'));
+});
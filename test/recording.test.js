@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+const { encodeSamples, decodeSamples, pack, unpack } = require('../recording.js');
+
+function roundTrip(samples) {
+    return decodeSamples(encodeSamples(samples));
+}
+
+// Generador determinista (mulberry32) para que el tamaño no dependa de la ejecución
+function random(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Muestras como las de DataLogger en un móvil: timestamps timeOrigin + timeStamp, lecturas
+// redondeadas a 0,1 m/s² como hace el navegador y derivados con 4 decimales (toLogEntry)
+function loggedSamples(count, seed = 1) {
+    const next = random(seed);
+    const step = v => Math.round(v / 0.1) * 0.1;
+    const derived = v => Math.round(v * 1e4) / 1e4 + 0;
+    let smoothed = 0;
+    let velocity = 0;
+    return Array.from({ length: count }, (_, i) => {
+        const vertical = Math.sin(i / 30) * 2 + (next() - 0.5) * 0.3;
+        smoothed = smoothed * 0.8 + vertical * 0.2;
+        velocity += vertical * 0.0167;
+        return {
+            timestamp: 1729350000000.123 + Math.round(i * 166.667) / 10,
+            x: step((next() - 0.5) * 0.4), y: step(vertical), z: step((next() - 0.5) * 0.4),
+            gx: 0.1, gy: step(9.8 + vertical), gz: 0.2,
+            axis: 'y',
+            vertical: derived(vertical),
+            smoothed: derived(smoothed),
+            cadenceHz: i < 300 ? null : 0.5,
+            repCount: Math.floor(i / 180),
+            phase: ['IDLE', 'PULLING_UP', 'AT_TOP', 'LOWERING'][Math.floor(i / 45) % 4],
+            quality: 80 + Math.floor(i / 180) % 10,
+            velocity: derived(velocity)
+        };
+    });
+}
+
+test('pack/unpack devuelve las mismas muestras del logger', async () => {
+    const samples = Array.from({ length: 200 }, (_, i) => ({
+        timestamp: 1700000000000 + i * 33,
+        x: Math.sin(i / 7) * 0.3, y: 0.01 * i, z: Math.cos(i / 5),
+        gx: i < 20 ? null : 0.12, gy: i < 20 ? null : 9.79, gz: i < 20 ? null : -0.3,
+        axis: 'y',
+        vertical: Math.cos(i / 5),
+        smoothed: Math.cos(i / 5) * 0.9,
+        cadenceHz: i < 100 ? null : 0.5,
+        repCount: Math.floor(i / 40),
+        phase: ['IDLE', 'PULLING_UP', 'AT_TOP', 'LOWERING'][Math.floor(i / 10) % 4],
+        quality: i % 40 === 39 ? { score: 82, flags: ['rapida'] } : null,
+        velocity: 0.02 * i
+    }));
+    assert.deepStrictEqual(await unpack(await pack(samples)), samples);
+});
+
+test('las columnas con escala fija se reconstruyen exactamente', () => {
+    const samples = [0, 1, 2, 3].map(i => ({
+        timestamp: 1729350000000.123 + i * 16.7,
+        decimal: [1.25, -0.5, 3.75, 100][i],
+        step: [3, -7, 98, 12][i] * 0.1,
+        fraction: [0.1 + 0.2, 1 / 3, Math.PI, 2][i]
+    }));
+    assert.deepStrictEqual(roundTrip(samples), samples);
+});
+
+test('un bloque del logger ocupa bastante menos que el JSON comprimido', async () => {
+    const samples = loggedSamples(2560);
+    let packed = 0;
+    let plain = 0;
+    for (let i = 0; i < samples.length; i += 256) {
+        const chunk = samples.slice(i, i + 256);
+        const bytes = await pack(chunk);
+        assert.deepStrictEqual(await unpack(bytes), chunk);
+        packed += bytes.length;
+        plain += encodeSamples(chunk).length;
+    }
+    const json = zlib.gzipSync(JSON.stringify(samples)).length;
+    assert.ok(packed / samples.length < 14, `${(packed / samples.length).toFixed(1)} B/muestra comprimido`);
+    assert.ok(packed < json * 0.6, `${packed} B frente a ${json} B de JSON + gzip`);
+    // Sin CompressionStream el cuerpo va tal cual; los deltas escalados ya lo reducen
+    assert.ok(plain / samples.length < 40, `${(plain / samples.length).toFixed(1)} B/muestra sin comprimir`);
+});
+
+test('los deltas enteros mayores que 2^52 no pierden precisión', () => {
+    const samples = [
+        { value: Number.MAX_SAFE_INTEGER },
+        { value: -Number.MAX_SAFE_INTEGER },
+        { value: 2 ** 52 + 1 },
+        { value: 0 }
+    ];
+    assert.deepStrictEqual(roundTrip(samples), samples);
+});
+
+test('conserva -0 en columnas enteras y repetidas', () => {
+    const samples = [{ a: 1, b: 0 }, { a: -0, b: -0 }, { a: 3, b: -0 }, { a: 4, b: -0 }];
+    const decoded = roundTrip(samples);
+    assert.ok(Object.is(decoded[1].a, -0));
+    assert.ok(Object.is(decoded[0].b, 0));
+    assert.ok(decoded.slice(1).every(sample => Object.is(sample.b, -0)));
+});
+
+test('conserva el orden de claves de cada muestra aunque varíe', () => {
+    const samples = [
+        { timestamp: 1, z: 0.1 },
+        { timestamp: 2, rep: 1, z: 0.2 },
+        { z: 0.3, timestamp: 3, note: null },
+        { timestamp: 4, z: 0.4 }
+    ];
+    const decoded = roundTrip(samples);
+    assert.deepStrictEqual(decoded, samples);
+    assert.deepStrictEqual(decoded.map(Object.keys), samples.map(Object.keys));
+});
@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RepDetector } = require('../core.js');
+
+// Alimenta el detector con tramos [z, duraciónMs] muestreados cada `stepMs`
+function feed(detector, segments, { start = 1000, stepMs = 20 } = {}) {
+    let t = start;
+    const states = [];
+    const reps = [];
+    for (const [z, durationMs] of segments) {
+        for (let elapsed = 0; elapsed < durationMs; elapsed += stepMs) {
+            const result = detector.processAcceleration(z, t);
+            if (states[states.length - 1] !== result.state) states.push(result.state);
+            if (result.rep) reps.push(result.rep);
+            t += stepMs;
+        }
+    }
+    return { states, reps, end: t };
+}
+
+// Rep válida con los umbrales por defecto: sube, pausa arriba, baja y vuelve a reposo
+const REP = [[0, 200], [1.0, 400], [0, 300], [-0.8, 400], [0, 200]];
+
+test.beforeEach(() => {
+    test.mock.method(console, 'log', () => {});
+});
+
+test('recorre IDLE → PULLING_UP → AT_TOP → LOWERING → IDLE y cuenta la rep', () => {
+    const detector = new RepDetector();
+    const phases = [];
+    detector.on('phasechange', ({ from, to }) => phases.push(`${from}>${to}`));
+
+    const { states, reps } = feed(detector, REP);
+
+    assert.deepStrictEqual(states, ['IDLE', 'PULLING_UP', 'AT_TOP', 'LOWERING', 'IDLE']);
+    assert.deepStrictEqual(phases, ['IDLE>PULLING_UP', 'PULLING_UP>AT_TOP', 'AT_TOP>LOWERING', 'LOWERING>IDLE']);
+    assert.strictEqual(reps.length, 1);
+    assert.strictEqual(detector.repCount, 1);
+    assert.strictEqual(reps[0].duration, 1100);
+    assert.deepStrictEqual(reps[0].phaseDurations, { PULLING_UP: 400, AT_TOP: 300, LOWERING: 400 });
+    assert.strictEqual(reps[0].peakUp, 1.0);
+    assert.strictEqual(reps[0].peakDown, -0.8);
+});
+
+test('AT_TOP vuelve a PULLING_UP si la aceleración sube de nuevo', () => {
+    const detector = new RepDetector();
+    const { states } = feed(detector, [[0, 100], [1.0, 200], [0, 100], [1.0, 200]]);
+    assert.deepStrictEqual(states, ['IDLE', 'PULLING_UP', 'AT_TOP', 'PULLING_UP']);
+});
+
+test('rechaza reps más cortas que minRepDuration', () => {
+    const detector = new RepDetector();
+    const { reps, states } = feed(detector, [[0, 100], [1.0, 200], [0, 100], [-0.8, 200], [0, 100]]);
+    assert.strictEqual(states[states.length - 1], 'IDLE');
+    assert.strictEqual(reps.length, 0);
+    assert.strictEqual(detector.repCount, 0);
+});
+
+test('rechaza reps más largas que maxRepDuration', () => {
+    const detector = new RepDetector();
+    const { reps } = feed(detector, [[0, 100], [1.0, 400], [0, 5000], [-0.8, 400], [0, 100]]);
+    assert.strictEqual(reps.length, 0);
+});
+
+test('rechaza reps con amplitud menor que minAmplitude', () => {
+    const detector = new RepDetector({ minAmplitude: 2.5 });
+    const { reps } = feed(detector, REP);
+    assert.strictEqual(reps.length, 0);
+});
+
+test('ignora una rep que termina dentro del periodo de enfriamiento', () => {
+    const detector = new RepDetector({ minRepDuration: 100 });
+    detector.cooldownPeriod = 1000;
+    const short = [[1.0, 100], [0, 60], [-0.8, 100], [0, 40]];
+    const { reps, end } = feed(detector, [[0, 100], ...short, ...short]);
+    assert.strictEqual(reps.length, 1);
+
+    const later = feed(detector, [[0, 1000], ...short], { start: end });
+    assert.strictEqual(later.reps.length, 1);
+    assert.strictEqual(detector.repCount, 2);
+});
+
+test('setThresholds fusiona con los umbrales actuales', () => {
+    const detector = new RepDetector({ upwardAcceleration: 1.2 });
+    assert.strictEqual(detector.thresholds.upwardAcceleration, 1.2);
+    assert.strictEqual(detector.thresholds.downwardAcceleration, -0.5);
+
+    detector.setThresholds({ minAmplitude: 1.5 });
+    assert.deepStrictEqual(detector.thresholds, {
+        upwardAcceleration: 1.2,
+        downwardAcceleration: -0.5,
+        minRepDuration: 700,
+        maxRepDuration: 5000,
+        stableThreshold: 0.25,
+        minAmplitude: 1.5
+    });
+});
+
+test('reset vuelve al estado inicial', () => {
+    const detector = new RepDetector();
+    feed(detector, REP);
+    detector.reset();
+    assert.strictEqual(detector.state, 'IDLE');
+    assert.strictEqual(detector.repCount, 0);
+    assert.deepStrictEqual(detector.reps, []);
+    assert.strictEqual(detector.velocity, 0);
+});
+
+// Dominada sintética: desplazamiento en medio coseno de `romM` metros (subida, pausa arriba,
+// bajada, pausa abajo); devuelve la aceleración vertical en m/s² en el instante t (ms)
+function pullUp(romM, { concentric = 900, top = 450, eccentric = 1200, bottom = 450, leadIn = 1000 } = {}) {
+    const period = concentric + top + eccentric + bottom;
+    return (t) => {
+        if (t < leadIn) return 0;
+        const p = (t - leadIn) % period;
+        if (p < concentric) {
+            const w = Math.PI / (concentric / 1000);
+            return romM / 2 * w * w * Math.cos(w * p / 1000);
+        }
+        if (p < concentric + top) return 0;
+        if (p < concentric + top + eccentric) {
+            const w = Math.PI / (eccentric / 1000);
+            return -romM / 2 * w * w * Math.cos(w * (p - concentric - top) / 1000);
+        }
+        return 0;
+    };
+}
+
+test('el ROM se integra entre reposos y es estable rep a rep', () => {
+    const detector = new RepDetector();
+    const accel = pullUp(0.5);
+    const reps = [];
+    const closed = [];
+    for (let t = 0; t < 1000 + 6 * 3000; t += 20) {
+        const result = detector.processAcceleration(accel(t), t);
+        if (result.rep) {
+            assert.strictEqual(result.rep.romCm, null);
+            reps.push(result.rep);
+        }
+        closed.push(...result.romReps);
+    }
+    closed.push(...detector.flushRangeOfMotion());
+
+    assert.ok(reps.length >= 5);
+    assert.deepStrictEqual(closed, reps);
+    for (const rep of reps) {
+        assert.ok(Math.abs(rep.romCm - 50) < 5, `rep ${rep.index}: ${rep.romCm.toFixed(1)} cm`);
+    }
+});
+
+test('el paso por cero de una bajada lenta no cuenta como reposo', () => {
+    const detector = new RepDetector();
+    const accel = pullUp(0.5, { eccentric: 1600 });
+    const reps = [];
+    for (let t = 0; t < 1000 + 5 * 3400; t += 20) {
+        const result = detector.processAcceleration(accel(t), t);
+        if (result.rep) reps.push(result.rep);
+    }
+    detector.flushRangeOfMotion();
+
+    assert.ok(reps.length >= 4);
+    for (const rep of reps) {
+        assert.ok(Math.abs(rep.romCm - 50) < 5, `rep ${rep.index}: ${rep.romCm.toFixed(1)} cm`);
+    }
+});
+
+test('sin reposo entre reps el ROM se cierra al empezar la siguiente', () => {
+    const detector = new RepDetector({ minRepDuration: 300 });
+    const accel = pullUp(0.5, { top: 0, bottom: 0 });
+    const reps = [];
+    const closed = [];
+    for (let t = 0; t < 1000 + 3 * 2100; t += 20) {
+        const result = detector.processAcceleration(accel(t), t);
+        if (result.rep) reps.push(result.rep);
+        closed.push(...result.romReps);
+    }
+    assert.ok(reps.length >= 2);
+    assert.ok(closed.length >= reps.length - 1);
+    assert.ok(closed.every(rep => Number.isFinite(rep.romCm)));
+});
@@ -0,0 +1,213 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { WorkoutSession, RepDetector, parseTempo } = require('../core.js');
+
+// Registro mínimo de rep como los que emite RepDetector
+function rep(index, romCm = null) {
+    return {
+        index, startTime: index * 3000, endTime: index * 3000 + 2000, duration: 2000,
+        phaseDurations: { PULLING_UP: 800, AT_TOP: 400, LOWERING: 800 },
+        amplitude: 2, quality: 90, meanConcentricVelocity: 0.5, romCm
+    };
+}
+
+// Pasa reps a la sesión como las muestras que las completan; devuelve los eventos de cada una
+function lifter(session) {
+    let repCount = 0;
+    return r => session.process({ value: 1, timestamp: r.endTime, repCount: ++repCount, rep: r });
+}
+
+// Reps consecutivas desde `first` con las velocidades concéntricas indicadas
+function repsWithVelocity(first, velocities) {
+    return velocities.map((v, i) => ({ ...rep(first + i), meanConcentricVelocity: v }));
+}
+
+test('el ROM que llega después de la rep recalcula la serie y emite rom', () => {
+    const session = new WorkoutSession({ fatigueCutoff: null });
+    const reps = [rep(1), rep(2), rep(3)];
+    reps.forEach((r, i) => session.process({ value: 1, timestamp: r.endTime, repCount: i + 1, rep: r }));
+    assert.strictEqual(session.current.avgRomCm, null);
+
+    reps[0].romCm = 50;
+    reps[1].romCm = 50;
+    const events = session.process({ value: 1, timestamp: 12000, repCount: 3, romReps: reps.slice(0, 2) });
+    assert.deepStrictEqual(events.map(e => e.type), ['rom', 'rom']);
+    assert.strictEqual(session.current.avgRomCm, 50);
+
+    // Tras cerrar la serie el ROM pendiente aún se atribuye a ella
+    session.endSet(13000, 'manual');
+    reps[2].romCm = 30;
+    const late = session.updateRangeOfMotion([reps[2]]);
+    assert.strictEqual(late.length, 1);
+    assert.strictEqual(late[0].set, session.sets[0]);
+    assert.ok(Math.abs(session.sets[0].avgRomCm - 130 / 3) < 1e-9);
+    assert.strictEqual(reps[2].partial, true);
+    assert.strictEqual(session.sets[0].partialReps, 1);
+});
+
+test('una rep parcial puntúa menos que las completas y baja la media de la serie', () => {
+    const detector = new RepDetector();
+    const session = new WorkoutSession({ fatigueCutoff: null, scoreRep: r => detector.scoreRep(r) });
+    const reps = [rep(1), rep(2), rep(3)];
+    reps.forEach((r, i) => session.process({ value: 1, timestamp: r.endTime, repCount: i + 1, rep: r }));
+    session.endSet(13000, 'manual');
+    const before = session.sets[0].avgQuality;
+
+    reps[0].romCm = 50;
+    reps[1].romCm = 50;
+    reps[2].romCm = 30;
+    session.updateRangeOfMotion(reps);
+    assert.strictEqual(reps[2].partial, true);
+    assert.strictEqual(reps[0].quality, reps[1].quality);
+    assert.ok(reps[2].quality < reps[0].quality, `${reps[2].quality} frente a ${reps[0].quality}`);
+    assert.strictEqual(session.sets[0].avgQuality, (reps[0].quality * 2 + reps[2].quality) / 3);
+    assert.ok(session.sets[0].avgQuality < before);
+});
+
+test('la fatiga se mide contra la media de las primeras reps de la serie', () => {
+    const session = new WorkoutSession({ fatigueCutoff: null, fatigueBaselineReps: 2 });
+    const lift = lifter(session);
+    const reps = repsWithVelocity(1, [0.6, 0.4, 0.4, 0.45]);
+    reps.forEach(lift);
+
+    assert.strictEqual(reps[0].fatigue, null);
+    assert.strictEqual(reps[1].fatigue, null);
+    assert.ok(Math.abs(reps[2].fatigue.velocityLoss - 0.2) < 1e-9);
+    assert.ok(Math.abs(reps[3].fatigue.loss - 0.1) < 1e-9);
+    assert.ok(Math.abs(session.current.fatigueLoss - 0.1) < 1e-9);
+    assert.ok(Math.abs(session.current.maxFatigueLoss - 0.2) < 1e-9);
+});
+
+test('sin velocidad de referencia la fatiga promedia duración, amplitud y calidad', () => {
+    const session = new WorkoutSession({ fatigueCutoff: null });
+    const lift = lifter(session);
+    const reps = repsWithVelocity(1, [null, null, null]);
+    reps[2] = { ...reps[2], duration: 2400, amplitude: 1.6, quality: 72 };
+    reps.forEach(lift);
+    const { durationLoss, amplitudeLoss, qualityLoss, loss } = reps[2].fatigue;
+    assert.ok(Math.abs(durationLoss - 0.2) < 1e-9);
+    assert.ok(Math.abs(amplitudeLoss - 0.2) < 1e-9);
+    assert.ok(Math.abs(qualityLoss - 0.2) < 1e-9);
+    assert.ok(Math.abs(loss - 0.2) < 1e-9);
+});
+
+test('el corte de fatiga avisa una sola vez por serie', () => {
+    const session = new WorkoutSession({ fatigueCutoff: 0.2 });
+    const lift = lifter(session);
+    const fatigueEvents = reps => reps.flatMap(lift).filter(e => e.type === 'fatigue');
+
+    const first = fatigueEvents(repsWithVelocity(1, [0.5, 0.5, 0.45, 0.38, 0.35, 0.3]));
+    assert.strictEqual(first.length, 1);
+    assert.strictEqual(first[0].rep.index, 4);
+    assert.ok(Math.abs(first[0].loss - 0.24) < 1e-9);
+    assert.strictEqual(session.current.fatigueAlertRep, 4);
+    assert.ok(Math.abs(session.current.maxFatigueLoss - 0.4) < 1e-9);
+
+    session.endSet(20000, 'manual');
+    const second = fatigueEvents(repsWithVelocity(10, [0.5, 0.5, 0.3, 0.3]));
+    assert.strictEqual(second.length, 1);
+    assert.strictEqual(second[0].set.index, 2);
+    assert.strictEqual(session.current.fatigueAlertRep, 3);
+    assert.strictEqual(session.sets[0].fatigueAlertRep, 4);
+});
+
+test('sin fatigueCutoff se mide la pérdida pero no se avisa', () => {
+    const session = new WorkoutSession({ fatigueCutoff: null });
+    const lift = lifter(session);
+    const events = repsWithVelocity(1, [0.5, 0.5, 0.2, 0.1]).flatMap(lift);
+    assert.ok(!events.some(e => e.type === 'fatigue'));
+    assert.strictEqual(session.current.fatigueAlertRep, null);
+    assert.ok(Math.abs(session.current.maxFatigueLoss - 0.8) < 1e-9);
+});
+
+test('parseTempo lee las notaciones con guiones y compacta', () => {
+    assert.deepStrictEqual(parseTempo('3-1-1-0'), { eccentric: 3, bottomPause: 1, concentric: 1, topPause: 0 });
+    assert.deepStrictEqual(parseTempo('31x0'), { eccentric: 3, bottomPause: 1, concentric: null, topPause: 0 });
+    assert.deepStrictEqual(parseTempo(' 2.5/0/1 '), { eccentric: 2.5, bottomPause: 0, concentric: 1, topPause: null });
+    for (const invalid of ['', '  ', '3-1', '3-1-1-0-2', '3-a-1-0', '31Y0', '3--1', null, 3110]) {
+        assert.strictEqual(parseTempo(invalid), null, JSON.stringify(invalid));
+    }
+});
+
+test('la adherencia al tempo compara cada fase con su objetivo', () => {
+    const session = new WorkoutSession({ fatigueCutoff: null, tempo: parseTempo('3-1-1-0') });
+    const lift = lifter(session);
+    const exact = {
+        index: 1, startTime: 0, endTime: 4000, duration: 4000,
+        phaseDurations: { LOWERING: 3000, PULLING_UP: 1000, AT_TOP: 0 }
+    };
+    // Excéntrica 1 s corta (1 - 1/3) y concéntrica 0,5 s larga (1 - 0,5/1); pausa abajo de 1 s
+    const off = {
+        index: 2, startTime: 5000, endTime: 8500, duration: 3500,
+        phaseDurations: { LOWERING: 2000, PULLING_UP: 1500, AT_TOP: 0 }
+    };
+    lift(exact);
+    lift(off);
+
+    // La primera rep no tiene pausa abajo: solo puntúan tres fases
+    assert.strictEqual(exact.tempo.actual.bottomPause, null);
+    assert.strictEqual(exact.tempo.adherence, 100);
+    assert.deepStrictEqual(off.tempo.actual, { eccentric: 2, bottomPause: 1, concentric: 1.5, topPause: 0 });
+    assert.deepStrictEqual(off.tempo.deviation, { eccentric: -1, bottomPause: 0, concentric: 0.5, topPause: 0 });
+    const expected = (2 / 3 + 1 + 0.5 + 1) / 4 * 100;
+    assert.ok(Math.abs(off.tempo.adherence - expected) < 1e-9);
+    assert.ok(Math.abs(session.current.tempoAdherence - (100 + expected) / 2) < 1e-9);
+    assert.ok(Math.abs(session.getTempoAdherence() - (100 + expected) / 2) < 1e-9);
+});
+
+test('las fases explosivas no cuentan en la adherencia', () => {
+    const session = new WorkoutSession({ fatigueCutoff: null, tempo: parseTempo('3-0-X-0') });
+    const r = rep(1);
+    lifter(session)(r);
+    assert.strictEqual(r.tempo.deviation.concentric, null);
+    // Excéntrica 0,8 s frente a 3 s (1 - 2,2/3) y pausa arriba 0,4 s (1 - 0,4/1)
+    assert.ok(Math.abs(r.tempo.adherence - (0.8 / 3 + 0.6) / 2 * 100) < 1e-9);
+});
+
+test('la serie se cierra tras stillnessMs de quietud y se mide el descanso', () => {
+    const session = new WorkoutSession({ stillnessMs: 3000, stillThreshold: 0.3 });
+    const types = events => events.map(e => e.type);
+
+    assert.deepStrictEqual(types(session.process({ value: 2, timestamp: 2000, repCount: 1, repStartTime: 500 })), ['setstart', 'rep']);
+    assert.strictEqual(session.current.startTime, 500);
+    // La quietud se interrumpe con movimiento y vuelve a contar desde cero
+    session.process({ value: 0.1, timestamp: 3000, repCount: 1 });
+    session.process({ value: 1, timestamp: 5000, repCount: 1 });
+    session.process({ value: 0.1, timestamp: 6000, repCount: 1 });
+    assert.deepStrictEqual(session.process({ value: 0.2, timestamp: 8999, repCount: 1 }), []);
+    const [end] = session.process({ value: -0.2, timestamp: 9000, repCount: 1 });
+
+    assert.strictEqual(end.type, 'setend');
+    assert.strictEqual(end.set.endReason, 'stillness');
+    assert.strictEqual(end.set.endTime, 6000);
+    assert.strictEqual(end.set.durationMs, 5500);
+    assert.strictEqual(session.state, 'RESTING');
+    assert.strictEqual(session.getRestElapsed(15000), 9000);
+    // En reposo la quietud no cierra más series
+    assert.deepStrictEqual(session.process({ value: 0, timestamp: 30000, repCount: 1 }), []);
+
+    const events = session.process({ value: 2, timestamp: 47000, repCount: 2, repStartTime: 45000 });
+    assert.deepStrictEqual(types(events), ['setstart', 'rep']);
+    assert.strictEqual(events[0].set.index, 2);
+    assert.strictEqual(events[0].set.restMs, 39000);
+    assert.strictEqual(session.sets[0].restMs, null);
+    assert.strictEqual(session.getTotalReps(), 2);
+});
+
+test('el objetivo de reps se avisa una sola vez por serie', () => {
+    const session = new WorkoutSession({ targetReps: 3, fatigueCutoff: null });
+    const lift = lifter(session);
+    // Índices de las reps cuya muestra emitió 'target'
+    const targets = reps => reps.filter(r => lift(r).some(e => e.type === 'target')).map(r => r.index);
+
+    assert.deepStrictEqual(targets([rep(1), rep(2), rep(3), rep(4), rep(5)]), [3]);
+    assert.strictEqual(session.current.targetReps, 3);
+
+    session.endSet(20000, 'manual');
+    assert.deepStrictEqual(targets([rep(10), rep(11), rep(12), rep(13)]), [12]);
+});
+
+test('ignora ROM de reps que no son de la serie en curso', () => {
+    const session = new WorkoutSession();
+    assert.deepStrictEqual(session.updateRangeOfMotion([rep(1, 40)]), []);
+});